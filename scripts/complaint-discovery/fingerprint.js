@@ -0,0 +1,99 @@
+/**
+ * Text Fingerprints
+ * 64-bit simhash over word shingles, used to flag near-duplicate complaints
+ * (cross-posts, a story and a comment quoting it) without any external service
+ */
+
+// Words per shingle
+const SHINGLE_SIZE = 3;
+
+// Texts with fewer shingles than this don't get a fingerprint - too short to compare reliably
+const MIN_SHINGLES = 8;
+
+const FNV_OFFSET = 0xcbf29ce484222325n;
+const FNV_PRIME = 0x100000001b3n;
+const MASK_64 = (1n << 64n) - 1n;
+
+/**
+ * Compute a simhash fingerprint for a text
+ * @param {string} text - Raw text
+ * @returns {string|null} 16-char hex fingerprint, or null when the text is too short
+ */
+export function simhash(text) {
+  const words = (text || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[^a-z0-9'\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const shingles = [];
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    shingles.push(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+
+  if (shingles.length < MIN_SHINGLES) return null;
+
+  const weights = new Array(64).fill(0);
+  for (const shingle of shingles) {
+    const hash = fnv1a64(shingle);
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+
+  let fingerprint = 0n;
+  for (let bit = 0; bit < 64; bit++) {
+    if (weights[bit] > 0) fingerprint |= 1n << BigInt(bit);
+  }
+
+  return fingerprint.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two fingerprints
+ * @param {string} a - Hex fingerprint
+ * @param {string} b - Hex fingerprint
+ * @returns {number}
+ */
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    diff &= diff - 1n;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Find the closest fingerprint within a distance threshold
+ * @param {string} fingerprint - Hex fingerprint to match
+ * @param {Array<{id: string, fingerprint: string}>} index - Known fingerprints
+ * @param {number} maxDistance - Largest Hamming distance that counts as a match
+ * @returns {{id: string, distance: number}|null}
+ */
+export function findNearDuplicate(fingerprint, index, maxDistance) {
+  let best = null;
+
+  for (const entry of index) {
+    const distance = hammingDistance(fingerprint, entry.fingerprint);
+    if (distance <= maxDistance && (!best || distance < best.distance)) {
+      best = { id: entry.id, distance };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * 64-bit FNV-1a hash
+ */
+function fnv1a64(text) {
+  let hash = FNV_OFFSET;
+  for (const byte of Buffer.from(text, 'utf-8')) {
+    hash ^= BigInt(byte);
+    hash = (hash * FNV_PRIME) & MASK_64;
+  }
+  return hash;
+}
@@ -1,66 +1,231 @@
 /**
  * Complaint Discovery Agent
- * Uses Hacker News API to find user complaints and pain points
+ * Sweeps registered sources (see sources/index.js) for user complaints and pain points
  * Stores in Supabase for pattern analysis
+ *
+ * Usage:
+ *   node index.js                                # Sources from COMPLAINT_SOURCES (default: hacker_news)
+ *   node index.js --sources=hacker_news,reddit   # Explicit source list
+ *   node index.js --dry-run                      # Fetch + normalize only, no Claude or Supabase
+ *   node index.js --expand-threads               # Also mine replies in Ask HN threads
+ *   node index.js --since=2025-01-01 --until=2025-07-01
+ *                                                # Backfill a date range (resumes if interrupted)
+ *
+ * Search terms and keywords come from scripts/shared/hn-targeting.json; see
+ * scripts/shared/targeting.js for --targeting/--terms/--lookback-days/--hits-per-page.
  */
 
 import Anthropic from '@anthropic-ai/sdk';
 import { createClient } from '@supabase/supabase-js';
 
+import { loadTargeting, parseTargetingArgs } from '../shared/targeting.js';
+import { extractMentions, saveMentions } from '../shared/mentions.js';
+import { getSources, collectPosts, normalizeItems, advanceHighWaterMarks } from './sources/index.js';
+import { CATEGORIES, INTENT_STAGES, URGENCY_LEVELS, parseAnalysis } from './schema.js';
+import { simhash, findNearDuplicate } from './fingerprint.js';
+import { loadRedactionConfig, redactComplaintRow, redactPost, redactText } from './redaction.js';
+import { REPLY_DRAFT_MIN_PAIN, generateReplyDraft, saveReplyDraft } from './reply-drafts.js';
+import { sleep } from './utils.js';
+
 const anthropic = new Anthropic();
 
+// Parse CLI arguments
+const args = process.argv.slice(2);
+const isDryRun = args.includes('--dry-run');
+const expandThreads = args.includes('--expand-threads') || process.env.EXPAND_THREADS === 'true';
+const sinceArg = args.find(a => a.startsWith('--since='));
+const untilArg = args.find(a => a.startsWith('--until='));
+
+// Active targeting config, hash recorded on every scrape run
+let targetingHash = null;
+
+// Largest simhash Hamming distance (of 64 bits) treated as a near-duplicate
+const NEAR_DUPLICATE_MAX_DISTANCE = parseInt(process.env.NEAR_DUPLICATE_MAX_DISTANCE || '10', 10);
+
+// Canonical complaint fingerprints, loaded on first use
+let fingerprintIndex = null;
+
+// PII redaction settings (see redaction.js), loaded in main()
+let redactionConfig = null;
+
 // Configuration
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
 
-if (!supabaseUrl || !supabaseKey) {
+if (!isDryRun && (!supabaseUrl || !supabaseKey)) {
   console.error('❌ SUPABASE_URL and SUPABASE_SERVICE_KEY are required');
   process.exit(1);
 }
 
-const supabase = createClient(supabaseUrl, supabaseKey);
-
-// Complaint indicator keywords
-const COMPLAINT_KEYWORDS = [
-  'frustrated', 'hate', 'struggling', 'waste', 'failed', 'impossible',
-  'nightmare', 'terrible', 'awful', 'broken', 'useless', 'annoying',
-  'anyone else', 'help me', 'advice needed', 'what am i doing wrong',
-  'months building', 'no customers', 'no sales', 'can\'t figure out',
-  'stuck on', 'burned out', 'giving up', 'should i pivot',
-  'hard to find', 'impossible to', 'wasted time', 'mistake'
-];
-
-// Search terms for ICP-relevant content
-const SEARCH_TERMS = [
-  'first sales hire',
-  'startup sales',
-  'founder sales',
-  'B2B sales',
-  'no customers',
-  'finding customers',
-  'product market fit',
-  'ICP ideal customer',
-  'validate startup',
-  'sales process'
-];
-
-// HN Algolia API base
-const HN_API = 'https://hn.algolia.com/api/v1';
+const supabase = isDryRun ? null : createClient(supabaseUrl, supabaseKey);
+
+// Sources to sweep, in order (comma-separated registry ids)
+const sourcesArg = args.find(a => a.startsWith('--sources='));
+const SOURCE_IDS = (sourcesArg ? sourcesArg.split('=')[1] : (process.env.COMPLAINT_SOURCES || 'hacker_news'))
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+/**
+ * Parse --since/--until into a unix-second range, or null when not backfilling
+ * --until defaults to now; the range is [since, until)
+ */
+function parseBackfillRange() {
+  if (!sinceArg && !untilArg) return null;
+  if (!sinceArg) throw new Error('--until requires --since');
+
+  const since = Date.parse(sinceArg.split('=')[1]);
+  const until = untilArg ? Date.parse(untilArg.split('=')[1]) : Date.now();
+
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    throw new Error('--since/--until must be dates, e.g. --since=2025-01-01');
+  }
+  if (since >= until) {
+    throw new Error('--since must be before --until');
+  }
+
+  return {
+    since: Math.floor(since / 1000),
+    until: Math.floor(until / 1000)
+  };
+}
 
 /**
  * Main execution
  */
 async function main() {
   console.log('🔍 Complaint Discovery Agent Starting...\n');
-  console.log('Platform: Hacker News\n');
+
+  let sources;
+  try {
+    const targeting = loadTargeting('complaintDiscovery', parseTargetingArgs(args));
+    targetingHash = targeting.hash;
+    console.log(`Targeting: ${targeting.file} (${targeting.hash})`);
+
+    sources = getSources(SOURCE_IDS);
+
+    // Nothing is persisted in dry-run mode, so redaction isn't needed
+    if (!isDryRun) {
+      redactionConfig = loadRedactionConfig();
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  let backfillRange = null;
+  try {
+    backfillRange = parseBackfillRange();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log(`Sources: ${sources.map(s => s.label).join(', ')}`);
+  console.log(`Thread expansion: ${expandThreads ? 'on' : 'off'}`);
+  if (backfillRange) {
+    console.log(`Backfill: ${new Date(backfillRange.since * 1000).toISOString()} → ${new Date(backfillRange.until * 1000).toISOString()}`);
+  }
+  console.log('');
+
+  if (isDryRun) {
+    for (const source of sources) {
+      console.log(`\n━━━ ${source.label} ━━━\n`);
+      let posts;
+      if (backfillRange && typeof source.backfill === 'function') {
+        posts = [];
+        for await (const page of source.backfill(backfillRange)) {
+          posts.push(...normalizeItems(source, page.items));
+        }
+      } else {
+        ({ posts } = await collectPosts(source, { expandThreads }));
+      }
+      for (const post of posts) {
+        console.log(`  [${post.subreddit}] ${post.title.slice(0, 60)} (${post.upvotes} pts, ${post.comments} comments)`);
+      }
+    }
+    console.log('\n🏃 Dry run complete. Nothing analyzed or saved.');
+    return;
+  }
+
+  const totals = emptyCounts();
+  const failedSources = [];
+
+  for (const source of sources) {
+    const result = backfillRange
+      ? await runBackfill(source, backfillRange)
+      : await runSource(source);
+
+    if (!result) {
+      failedSources.push(source.label);
+      continue;
+    }
+
+    totals.postsFound += result.postsFound;
+    totals.skippedSeen += result.skippedSeen;
+    totals.skippedExisting += result.skippedExisting;
+    totals.complaintsIdentified += result.complaintsIdentified;
+    totals.newCount += result.newCount;
+    totals.highPainCount += result.highPainCount;
+    totals.duplicateCount += result.duplicateCount;
+    totals.replyDraftCount += result.replyDraftCount;
+    totals.mentionCount += result.mentionCount;
+    totals.quarantinedCount += result.quarantinedCount;
+    totals.failedUpserts.push(...result.failedUpserts);
+  }
+
+  // Summary
+  console.log(`\n📊 Summary:`);
+  console.log(`  Posts scraped: ${totals.postsFound}`);
+  console.log(`  Skipped (seen by earlier run): ${totals.skippedSeen}`);
+  console.log(`  Skipped (already in complaints): ${totals.skippedExisting}`);
+  console.log(`  Complaints identified: ${totals.complaintsIdentified}`);
+  console.log(`  New complaints saved: ${totals.newCount}`);
+  console.log(`  High pain (7+): ${totals.highPainCount}`);
+  console.log(`  Near-duplicates linked: ${totals.duplicateCount}`);
+  console.log(`  Reply drafts written: ${totals.replyDraftCount}`);
+  console.log(`  Tool mentions recorded: ${totals.mentionCount}`);
+  console.log(`  Quarantined (invalid analysis): ${totals.quarantinedCount}`);
+  console.log(`  Failed saves: ${totals.failedUpserts.length}`);
+  for (const failure of totals.failedUpserts) {
+    console.log(`    - ${failure.url}: ${failure.error}`);
+  }
+  if (failedSources.length > 0) {
+    console.log(`  Failed sources: ${failedSources.join(', ')}`);
+  }
+
+  // Export for GitHub Action
+  const fs = await import('fs');
+  const envFile = process.env.GITHUB_ENV;
+  if (envFile) {
+    fs.appendFileSync(envFile, `NEW_COMPLAINTS=${totals.newCount}\n`);
+    fs.appendFileSync(envFile, `HIGH_PAIN_COUNT=${totals.highPainCount}\n`);
+    fs.appendFileSync(envFile, `REPLY_DRAFTS=${totals.replyDraftCount}\n`);
+  }
+
+  if (failedSources.length > 0) {
+    process.exit(1);
+  }
+
+  console.log('\n✨ Done!');
+}
+
+/**
+ * Scrape, analyze and save complaints for a single source
+ * Each source gets its own complaint_scrape_runs row
+ * @returns {Promise<Object|null>} Run counts, or null if the run failed
+ */
+async function runSource(source) {
+  console.log(`\n━━━ ${source.label} ━━━\n`);
 
   // Create scrape run record
   const { data: scrapeRun } = await supabase
     .from('complaint_scrape_runs')
     .insert({
-      platform: 'hacker_news',
-      search_terms: SEARCH_TERMS,
-      subreddits_scraped: ['Hacker News'],
+      platform: source.platform,
+      search_terms: source.searchTerms || [],
+      subreddits_scraped: source.channels || [],
+      targeting_hash: targetingHash,
       status: 'running'
     })
     .select()
@@ -69,60 +234,18 @@ async function main() {
   const runId = scrapeRun?.id;
 
   try {
-    // Fetch from Hacker News
-    const posts = await scrapeHackerNews();
-    console.log(`\n📋 Found ${posts.length} potential complaint posts\n`);
+    const previousMarks = await loadHighWaterMarks(source.platform);
+    const { posts, termHits, skippedSeen } = await collectPosts(source, {
+      highWaterMarks: previousMarks,
+      expandThreads
+    });
 
-    // Analyze each post with Claude
-    const complaints = [];
-    for (const post of posts) {
-      console.log(`  → Analyzing: ${post.title.slice(0, 50)}...`);
-      const analysis = await analyzePost(post);
-
-      if (analysis && analysis.isComplaint) {
-        complaints.push({
-          ...post,
-          ...analysis
-        });
-      }
+    console.log(`\n📋 Found ${posts.length} potential complaint posts\n`);
 
-      // Rate limiting for Claude API
-      await sleep(500);
-    }
+    const { handledUrls, ...result } = await processPosts(posts, source, runId, { replyDrafts: true });
 
-    console.log(`\n🎯 Identified ${complaints.length} valid complaints\n`);
-
-    // Save to Supabase
-    let newCount = 0;
-    let highPainCount = 0;
-
-    for (const complaint of complaints) {
-      const { error } = await supabase
-        .from('complaints')
-        .upsert({
-          platform: 'hacker_news',
-          subreddit: 'Hacker News',
-          post_url: complaint.url,
-          post_id: complaint.postId,
-          author: complaint.author,
-          title: complaint.title,
-          raw_text: complaint.content,
-          extracted_problem: complaint.extractedProblem,
-          exact_phrases: complaint.exactPhrases,
-          pain_score: complaint.painScore,
-          category: complaint.category,
-          upvotes: complaint.upvotes,
-          comments_count: complaint.comments,
-          is_processed: false
-        }, {
-          onConflict: 'post_url'
-        });
-
-      if (!error) {
-        newCount++;
-        if (complaint.painScore >= 7) highPainCount++;
-      }
-    }
+    // Posts that failed analysis stay above the mark and are retried next run
+    const highWaterMarks = advanceHighWaterMarks(previousMarks, termHits, handledUrls);
 
     // Update scrape run
     await supabase
@@ -130,191 +253,520 @@ async function main() {
       .update({
         status: 'completed',
         posts_found: posts.length,
-        complaints_identified: complaints.length,
-        new_complaints: newCount,
+        complaints_identified: result.complaintsIdentified,
+        new_complaints: result.newCount,
+        high_water_marks: highWaterMarks,
+        posts_skipped_seen: skippedSeen,
+        posts_skipped_existing: result.skippedExisting,
+        complaints_quarantined: result.quarantinedCount,
+        failed_upserts: result.failedUpserts.length,
         completed_at: new Date().toISOString()
       })
       .eq('id', runId);
 
-    // Summary
-    console.log(`\n📊 Summary:`);
-    console.log(`  Posts scraped: ${posts.length}`);
-    console.log(`  Complaints identified: ${complaints.length}`);
-    console.log(`  New complaints saved: ${newCount}`);
-    console.log(`  High pain (7+): ${highPainCount}`);
-
-    // Export for GitHub Action
-    const fs = await import('fs');
-    const envFile = process.env.GITHUB_ENV;
-    if (envFile) {
-      fs.appendFileSync(envFile, `NEW_COMPLAINTS=${newCount}\n`);
-      fs.appendFileSync(envFile, `HIGH_PAIN_COUNT=${highPainCount}\n`);
-    }
-
-    console.log('\n✨ Done!');
+    return {
+      postsFound: posts.length,
+      skippedSeen,
+      ...result
+    };
 
   } catch (error) {
-    console.error('Fatal error:', error);
+    console.error(`Source ${source.label} failed:`, error);
+    await failRun(runId, error);
+    return null;
+  }
+}
+
+/**
+ * Backfill a source over [since, until), one page at a time
+ * Progress is checkpointed on the scrape run after every page, and a later
+ * run with the same range resumes from the last checkpoint. A query whose
+ * page had posts that failed analysis stops checkpointing for the rest of the
+ * run, and the run is left failed so the rerun retries those posts.
+ * @returns {Promise<Object|null>} Run counts, or null if the run failed
+ */
+async function runBackfill(source, range) {
+  console.log(`\n━━━ ${source.label} (backfill) ━━━\n`);
+
+  if (typeof source.backfill !== 'function') {
+    console.log(`  ${source.label} does not support backfill, skipping`);
+    return emptyCounts();
+  }
+
+  const sinceIso = new Date(range.since * 1000).toISOString();
+  const untilIso = new Date(range.until * 1000).toISOString();
+
+  // Resume an unfinished backfill over the same range, if there is one
+  const { data: previousRun } = await supabase
+    .from('complaint_scrape_runs')
+    .select('*')
+    .eq('platform', source.platform)
+    .eq('run_type', 'backfill')
+    .eq('backfill_since', sinceIso)
+    .eq('backfill_until', untilIso)
+    .neq('status', 'completed')
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  let run = previousRun;
+  if (run) {
+    console.log(`  Resuming backfill run ${run.id}`);
+    await supabase
+      .from('complaint_scrape_runs')
+      .update({ status: 'running', error_message: null, targeting_hash: targetingHash })
+      .eq('id', run.id);
+  } else {
+    const { data } = await supabase
+      .from('complaint_scrape_runs')
+      .insert({
+        platform: source.platform,
+        run_type: 'backfill',
+        backfill_since: sinceIso,
+        backfill_until: untilIso,
+        search_terms: source.searchTerms || [],
+        subreddits_scraped: source.channels || [],
+        targeting_hash: targetingHash,
+        status: 'running'
+      })
+      .select()
+      .single();
+    run = data;
+  }
+
+  const runId = run?.id;
+  const cursors = { ...(run?.backfill_cursors || {}) };
+  const counts = {
+    ...emptyCounts(),
+    postsFound: run?.posts_found || 0,
+    complaintsIdentified: run?.complaints_identified || 0,
+    newCount: run?.new_complaints || 0,
+    skippedExisting: run?.posts_skipped_existing || 0,
+    quarantinedCount: run?.complaints_quarantined || 0
+  };
+  let failedUpsertCount = run?.failed_upserts || 0;
+  const stalledKeys = new Set();
+
+  try {
+    for await (const page of source.backfill({ since: range.since, until: range.until, cursors })) {
+      const posts = normalizeItems(source, page.items);
+      const result = await processPosts(posts, source, runId);
+      const unhandled = posts.filter(p => !result.handledUrls.has(p.url)).length;
+
+      counts.postsFound += posts.length;
+      counts.skippedExisting += result.skippedExisting;
+      counts.complaintsIdentified += result.complaintsIdentified;
+      counts.newCount += result.newCount;
+      counts.highPainCount += result.highPainCount;
+      counts.duplicateCount += result.duplicateCount;
+      counts.mentionCount += result.mentionCount;
+      counts.quarantinedCount += result.quarantinedCount;
+      counts.failedUpserts.push(...result.failedUpserts);
+      failedUpsertCount += result.failedUpserts.length;
+
+      if (unhandled > 0 && !stalledKeys.has(page.key)) {
+        console.log(`  ⚠ ${unhandled} posts failed analysis; ${page.key} stays checkpointed at ${cursors[page.key] ?? range.until} for a rerun`);
+        stalledKeys.add(page.key);
+      }
 
-    if (runId) {
+      // Checkpoint
+      if (!stalledKeys.has(page.key)) {
+        cursors[page.key] = page.cursor;
+      }
       await supabase
         .from('complaint_scrape_runs')
         .update({
-          status: 'failed',
-          error_message: error.message,
-          completed_at: new Date().toISOString()
+          backfill_cursors: cursors,
+          posts_found: counts.postsFound,
+          complaints_identified: counts.complaintsIdentified,
+          new_complaints: counts.newCount,
+          posts_skipped_existing: counts.skippedExisting,
+          complaints_quarantined: counts.quarantinedCount,
+          failed_upserts: failedUpsertCount
         })
         .eq('id', runId);
     }
 
-    process.exit(1);
+    if (stalledKeys.size > 0) {
+      throw new Error(`Posts failed analysis for ${[...stalledKeys].join(', ')}; rerun the same range to retry them`);
+    }
+
+    await supabase
+      .from('complaint_scrape_runs')
+      .update({
+        status: 'completed',
+        completed_at: new Date().toISOString()
+      })
+      .eq('id', runId);
+
+    return counts;
+
+  } catch (error) {
+    console.error(`Backfill for ${source.label} failed:`, error);
+    await failRun(runId, error);
+    return null;
   }
 }
 
 /**
- * Scrape Hacker News for complaints using Algolia API
+ * Analyze new posts with Claude and save the complaints
+ * Posts whose URL is already in complaints are skipped before analysis.
+ * @param {Object} [options]
+ * @param {boolean} [options.replyDrafts] - Draft replies for high-pain complaints.
+ *   Off for backfills: old threads are usually closed to new replies.
+ * @returns {Promise<Object>} Counts for this batch, plus handledUrls: posts that
+ *   are already stored, were saved or quarantined, or aren't complaints
  */
-async function scrapeHackerNews() {
-  console.log('🟠 Fetching from Hacker News API...');
-
-  const posts = [];
-  const oneWeekAgo = Math.floor(Date.now() / 1000) - (7 * 24 * 60 * 60);
-
-  // Search for relevant posts
-  for (const term of SEARCH_TERMS) {
-    try {
-      console.log(`  Searching: "${term}"...`);
-
-      // Search stories
-      const storyUrl = `${HN_API}/search?query=${encodeURIComponent(term)}&tags=story&numericFilters=created_at_i>${oneWeekAgo}&hitsPerPage=20`;
-      const storyResponse = await fetch(storyUrl);
-      const storyData = await storyResponse.json();
-
-      if (storyData.hits) {
-        for (const hit of storyData.hits) {
-          const text = `${hit.title || ''} ${hit.story_text || ''}`.toLowerCase();
-
-          // Check for complaint indicators or just add if it's a relevant "Ask HN"
-          const hasComplaint = COMPLAINT_KEYWORDS.some(kw => text.includes(kw));
-          const isAskHN = hit.title?.toLowerCase().startsWith('ask hn');
-
-          if (hasComplaint || isAskHN) {
-            posts.push({
-              postId: `hn_${hit.objectID}`,
-              title: hit.title || '',
-              url: `https://news.ycombinator.com/item?id=${hit.objectID}`,
-              author: hit.author || '[unknown]',
-              upvotes: hit.points || 0,
-              comments: hit.num_comments || 0,
-              content: hit.story_text || ''
-            });
-          }
-        }
-      }
-
-      // Also search comments for pain points
-      const commentUrl = `${HN_API}/search?query=${encodeURIComponent(term)}&tags=comment&numericFilters=created_at_i>${oneWeekAgo}&hitsPerPage=15`;
-      const commentResponse = await fetch(commentUrl);
-      const commentData = await commentResponse.json();
-
-      if (commentData.hits) {
-        for (const hit of commentData.hits) {
-          const text = (hit.comment_text || '').toLowerCase();
-
-          if (COMPLAINT_KEYWORDS.some(kw => text.includes(kw)) && text.length > 100) {
-            posts.push({
-              postId: `hn_comment_${hit.objectID}`,
-              title: `Comment on: ${hit.story_title || 'HN Discussion'}`,
-              url: `https://news.ycombinator.com/item?id=${hit.objectID}`,
-              author: hit.author || '[unknown]',
-              upvotes: hit.points || 0,
-              comments: 0,
-              content: stripHtml(hit.comment_text || '').slice(0, 2000)
-            });
-          }
-        }
-      }
+async function processPosts(posts, source, runId, { replyDrafts = false } = {}) {
+  // Only truly new posts go to Claude
+  const existingUrls = await findExistingUrls(posts.map(p => p.url));
+  const newPosts = posts.filter(p => !existingUrls.has(p.url));
+  const skippedExisting = posts.length - newPosts.length;
+  const handledUrls = new Set(posts.filter(p => existingUrls.has(p.url)).map(p => p.url));
+
+  if (skippedExisting > 0) {
+    console.log(`  Skipping ${skippedExisting} posts already in complaints`);
+  }
 
-      await sleep(200); // Be nice to the API
-    } catch (e) {
-      console.log(`    Warning: Search failed for "${term}": ${e.message}`);
+  // Analyze each post with Claude
+  const complaints = [];
+  let quarantinedCount = 0;
+
+  for (const post of newPosts) {
+    console.log(`  → Analyzing: ${post.title.slice(0, 50)}...`);
+    const result = await analyzePost(post, source);
+
+    if (result && result.errors.length > 0) {
+      console.log(`    ✗ Invalid analysis, quarantining: ${result.errors.join('; ')}`);
+      const quarantined = await quarantine({
+        runId,
+        source,
+        post: redactPost(post, redactionConfig),
+        reason: 'invalid_analysis',
+        errors: result.errors,
+        rawOutput: result.rawOutput
+      });
+      if (quarantined) handledUrls.add(post.url);
+      quarantinedCount++;
+    } else if (result && result.analysis.isComplaint) {
+      complaints.push({
+        ...post,
+        ...result.analysis
+      });
+    } else if (result) {
+      handledUrls.add(post.url);
     }
+
+    // Rate limiting for Claude API
+    await sleep(500);
   }
 
-  // Also get recent "Ask HN" posts (often contain pain points)
-  try {
-    console.log('  Fetching recent Ask HN posts...');
-    const askUrl = `${HN_API}/search?tags=ask_hn&numericFilters=created_at_i>${oneWeekAgo}&hitsPerPage=30`;
-    const askResponse = await fetch(askUrl);
-    const askData = await askResponse.json();
-
-    if (askData.hits) {
-      for (const hit of askData.hits) {
-        const text = `${hit.title || ''} ${hit.story_text || ''}`.toLowerCase();
-
-        // Filter for startup/business related Ask HNs
-        const businessKeywords = ['startup', 'saas', 'b2b', 'sales', 'customer', 'founder', 'business', 'product', 'market', 'revenue'];
-        const isRelevant = businessKeywords.some(kw => text.includes(kw));
-
-        if (isRelevant) {
-          posts.push({
-            postId: `hn_${hit.objectID}`,
-            title: hit.title || '',
-            url: `https://news.ycombinator.com/item?id=${hit.objectID}`,
-            author: hit.author || '[unknown]',
-            upvotes: hit.points || 0,
-            comments: hit.num_comments || 0,
-            content: stripHtml(hit.story_text || '').slice(0, 2000)
-          });
+  console.log(`\n🎯 Identified ${complaints.length} valid complaints\n`);
+
+  // Tool/competitor mentions come from every analyzed post, complaint or not
+  const mentionsByUrl = newPosts.length > 0
+    ? await extractMentions(anthropic, newPosts.map(p => ({ url: p.url, title: p.title, text: p.content })))
+    : new Map();
+
+  // Save to Supabase
+  let newCount = 0;
+  let highPainCount = 0;
+  let duplicateCount = 0;
+  let replyDraftCount = 0;
+  const failedUpserts = [];
+  const savedIds = new Map();
+  const knownFingerprints = await loadFingerprintIndex();
+
+  for (const complaint of complaints) {
+    // PII is masked before anything leaves the process
+    const row = redactComplaintRow({
+      platform: source.platform,
+      subreddit: complaint.subreddit,
+      post_url: complaint.url,
+      post_id: complaint.postId,
+      author: complaint.author,
+      title: complaint.title,
+      raw_text: complaint.content,
+      extracted_problem: complaint.extractedProblem,
+      exact_phrases: complaint.exactPhrases,
+      pain_score: complaint.painScore,
+      category: complaint.category,
+      upvotes: complaint.upvotes,
+      comments_count: complaint.comments,
+      post_date: complaint.postDate,
+      metadata: {
+        ...(complaint.parent && { parent: complaint.parent }),
+        taxonomy: {
+          categories: complaint.categories,
+          intent_stage: complaint.intentStage,
+          tools_tried: complaint.toolsTried,
+          urgency: complaint.urgency
         }
+      },
+      is_processed: false
+    }, redactionConfig);
+
+    // Fingerprint the redacted text so redact-existing.js can recompute it
+    const fingerprint = simhash(row.raw_text);
+    const duplicate = fingerprint
+      ? findNearDuplicate(fingerprint, knownFingerprints, NEAR_DUPLICATE_MAX_DISTANCE)
+      : null;
+
+    row.text_fingerprint = fingerprint;
+    if (duplicate) {
+      row.metadata.duplicate_of = duplicate.id;
+      row.metadata.duplicate_distance = duplicate.distance;
+    }
+
+    const { data: saved, error } = await supabase
+      .from('complaints')
+      .upsert(row, {
+        onConflict: 'post_url'
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      console.log(`  ✗ Failed to save ${complaint.url}: ${error.message}`);
+      failedUpserts.push({ url: complaint.url, error: error.message });
+      const quarantined = await quarantine({
+        runId,
+        source,
+        post: row,
+        reason: 'upsert_failed',
+        errors: [error.message]
+      });
+      if (quarantined) handledUrls.add(complaint.url);
+      continue;
+    }
+
+    newCount++;
+    handledUrls.add(complaint.url);
+    savedIds.set(complaint.url, saved.id);
+    if (complaint.painScore >= 7) highPainCount++;
+
+    if (duplicate) {
+      duplicateCount++;
+      console.log(`  ≈ Near-duplicate of ${duplicate.id} (distance ${duplicate.distance}): ${complaint.url}`);
+    } else if (fingerprint) {
+      knownFingerprints.push({ id: saved.id, fingerprint });
+    }
+
+    // One draft per canonical complaint; duplicates point at a thread we already cover
+    if (replyDrafts && !duplicate && complaint.painScore >= REPLY_DRAFT_MIN_PAIN) {
+      console.log(`  ✍️  Drafting reply: ${complaint.title.slice(0, 50)}...`);
+      const draft = await generateReplyDraft(complaint, source);
+      if (draft) {
+        const filename = await saveReplyDraft({ supabase, row, complaintId: saved.id, runId, source, draft });
+        if (filename) replyDraftCount++;
       }
+      await sleep(500); // Rate limiting
     }
-  } catch (e) {
-    console.log(`    Warning: Ask HN fetch failed: ${e.message}`);
   }
 
-  // Deduplicate by URL
-  const unique = [...new Map(posts.map(p => [p.url, p])).values()];
-  console.log(`  Found ${unique.length} unique posts`);
+  let mentionCount = 0;
+  for (const post of newPosts) {
+    mentionCount += await saveMentions(supabase, {
+      mentions: mentionsByUrl.get(post.url),
+      sourceAgent: 'complaint_discovery',
+      platform: source.platform,
+      postUrl: post.url,
+      postDate: post.postDate,
+      complaintId: savedIds.get(post.url),
+      redact: text => redactText(text).text
+    });
+  }
 
-  return unique;
+  return {
+    skippedExisting,
+    complaintsIdentified: complaints.length,
+    newCount,
+    highPainCount,
+    duplicateCount,
+    replyDraftCount,
+    mentionCount,
+    quarantinedCount,
+    failedUpserts,
+    handledUrls
+  };
+}
+
+/**
+ * Zeroed run counts
+ */
+function emptyCounts() {
+  return {
+    postsFound: 0,
+    skippedSeen: 0,
+    skippedExisting: 0,
+    complaintsIdentified: 0,
+    newCount: 0,
+    highPainCount: 0,
+    duplicateCount: 0,
+    replyDraftCount: 0,
+    mentionCount: 0,
+    quarantinedCount: 0,
+    failedUpserts: []
+  };
 }
 
 /**
- * Strip HTML tags from text
+ * Mark a scrape run as failed
  */
-function stripHtml(html) {
-  return html
-    .replace(/<[^>]*>/g, ' ')
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#x27;/g, "'")
-    .replace(/\s+/g, ' ')
-    .trim();
+async function failRun(runId, error) {
+  if (!runId) return;
+
+  await supabase
+    .from('complaint_scrape_runs')
+    .update({
+      status: 'failed',
+      error_message: error.message,
+      completed_at: new Date().toISOString()
+    })
+    .eq('id', runId);
+}
+
+/**
+ * Load per-term high-water marks from the last completed run for a platform
+ * @returns {Promise<Object>} Term -> newest unix timestamp
+ */
+async function loadHighWaterMarks(platform) {
+  const { data, error } = await supabase
+    .from('complaint_scrape_runs')
+    .select('high_water_marks')
+    .eq('platform', platform)
+    .eq('run_type', 'incremental')
+    .eq('status', 'completed')
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.log(`  Warning: Could not load high-water marks: ${error.message}`);
+    return {};
+  }
+
+  return data?.high_water_marks || {};
+}
+
+/**
+ * Load fingerprints of canonical (non-duplicate) complaints
+ * Loaded once per process; new canonical complaints are appended as they're saved.
+ * @returns {Promise<Array<{id: string, fingerprint: string}>>}
+ */
+async function loadFingerprintIndex() {
+  if (fingerprintIndex) return fingerprintIndex;
+
+  fingerprintIndex = [];
+  const pageSize = 1000;
+
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await supabase
+      .from('complaints')
+      .select('id, text_fingerprint')
+      .not('text_fingerprint', 'is', null)
+      .is('metadata->>duplicate_of', null)
+      .order('created_at', { ascending: true })
+      .range(from, from + pageSize - 1);
+
+    if (error) {
+      throw new Error(`Failed to load complaint fingerprints: ${error.message}`);
+    }
+
+    for (const row of data || []) {
+      fingerprintIndex.push({ id: row.id, fingerprint: row.text_fingerprint });
+    }
+
+    if (!data || data.length < pageSize) break;
+  }
+
+  console.log(`  Loaded ${fingerprintIndex.length} complaint fingerprints`);
+  return fingerprintIndex;
+}
+
+/**
+ * Find which post URLs are already stored in complaints
+ * @param {string[]} urls - Candidate post URLs
+ * @returns {Promise<Set<string>>} URLs that already exist
+ */
+async function findExistingUrls(urls) {
+  const existing = new Set();
+
+  // Chunk to keep the PostgREST query string short
+  for (let i = 0; i < urls.length; i += 100) {
+    const { data, error } = await supabase
+      .from('complaints')
+      .select('post_url')
+      .in('post_url', urls.slice(i, i + 100));
+
+    if (error) {
+      throw new Error(`Failed to look up existing complaints: ${error.message}`);
+    }
+
+    for (const row of data || []) {
+      existing.add(row.post_url);
+    }
+  }
+
+  return existing;
+}
+
+/**
+ * Record a post that could not be analyzed or saved
+ * @returns {Promise<boolean>} Whether the quarantine record was written
+ */
+async function quarantine({ runId, source, post, reason, errors, rawOutput = null }) {
+  const { error } = await supabase
+    .from('complaint_quarantine')
+    .insert({
+      scrape_run_id: runId || null,
+      platform: source.platform,
+      post_url: post.url || post.post_url,
+      reason,
+      errors,
+      post,
+      raw_output: rawOutput
+    });
+
+  if (error) {
+    console.log(`    Warning: Could not write quarantine record: ${error.message}`);
+    return false;
+  }
+  return true;
 }
 
 /**
  * Analyze a post with Claude
+ * Output is schema-validated; an invalid response gets one repair attempt
+ * with the validation errors fed back to the model.
+ * @returns {Promise<Object|null>} { analysis, errors, rawOutput }, or null on API error
  */
-async function analyzePost(post) {
-  const prompt = `Analyze this Hacker News post/comment to determine if it expresses a genuine complaint or pain point relevant to B2B SaaS founders.
+async function analyzePost(post, source) {
+  const prompt = `Analyze this ${source.label} post/comment to determine if it expresses a genuine complaint or pain point relevant to B2B SaaS founders.
+
+${post.parent ? `## PARENT QUESTION (context only - analyze the reply, not this)
+Title: ${post.parent.title}
+Content: ${post.parent.content || '(no body text)'}
 
-## POST
+` : ''}## POST
 Title: ${post.title}
 Content: ${post.content || '(no body text)'}
 Upvotes: ${post.upvotes}
 Comments: ${post.comments}
-
+${post.categoryHint ? `Likely category (from the search that found it): ${post.categoryHint}\n` : ''}
 ## ANALYSIS REQUIRED
 1. Is this a genuine complaint/pain point? (not just a question or discussion)
 2. If yes, extract:
    - The core problem being expressed
    - EXACT phrases they used (verbatim quotes that capture the pain)
-   - Pain score 1-10 (how intense is the frustration?)
-   - Category: validation, sales, product, hiring, marketing, fundraising, operations, other
+   - Pain score: whole number 1-10 (how intense is the frustration?)
+   - Category: ${CATEGORIES.join(', ')}
+   - Categories: every category that applies, with weights that sum to 1 (the primary category gets the highest weight)
+   - Intent stage: ${INTENT_STAGES.join(', ')}
+     (unaware = venting without naming the problem, problem_aware = names the problem but isn't looking for a fix,
+      solution_seeking = asking how to solve it, evaluating = comparing specific tools, vendors or approaches)
+   - Tools tried: products, services or approaches they say they already tried ([] if none)
+   - Urgency: ${URGENCY_LEVELS.join(', ')} (how soon they need this solved)
 
 ## OUTPUT FORMAT
 Respond in JSON only:
@@ -324,26 +776,40 @@ Respond in JSON only:
   "exactPhrases": ["phrase 1", "phrase 2", "phrase 3"],
   "painScore": 7,
   "category": "sales",
+  "categories": [{"category": "sales", "weight": 0.7}, {"category": "marketing", "weight": 0.3}],
+  "intentStage": "solution_seeking",
+  "toolsTried": ["Apollo", "cold email agency"],
+  "urgency": "high",
   "reasoning": "Brief explanation"
 }
 
 If not a complaint, just return: {"isComplaint": false}`;
 
+  const messages = [{ role: 'user', content: prompt }];
+
   try {
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 500,
-      messages: [{ role: 'user', content: prompt }]
-    });
+    let rawOutput = await complete(messages);
+    let { analysis, errors } = parseAnalysis(rawOutput);
+
+    if (errors.length > 0) {
+      console.log(`    Repairing analysis (${errors.length} validation error${errors.length === 1 ? '' : 's'})...`);
 
-    const text = response.content[0].text;
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
+      messages.push(
+        { role: 'assistant', content: rawOutput },
+        {
+          role: 'user',
+          content: `Your response failed validation:
+${errors.map(e => `- ${e}`).join('\n')}
 
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
+Return the corrected JSON object only, with no other text.`
+        }
+      );
+
+      rawOutput = await complete(messages);
+      ({ analysis, errors } = parseAnalysis(rawOutput));
     }
 
-    return null;
+    return { analysis, errors, rawOutput };
 
   } catch (error) {
     console.error(`    Error analyzing post: ${error.message}`);
@@ -352,10 +818,16 @@ If not a complaint, just return: {"isComplaint": false}`;
 }
 
 /**
- * Sleep helper
+ * Send a conversation to Claude and return the text reply
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+async function complete(messages) {
+  const response = await anthropic.messages.create({
+    model: 'claude-sonnet-4-20250514',
+    max_tokens: 700,
+    messages
+  });
+
+  return response.content[0].text;
 }
 
 // Run
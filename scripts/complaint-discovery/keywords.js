@@ -0,0 +1,17 @@
+/**
+ * Complaint indicator keywords
+ * Shared prefilter used by every source before a post is sent to Claude.
+ * The keyword list lives in the HN targeting config (scripts/shared/hn-targeting.json).
+ */
+
+import { getTargeting } from '../shared/targeting.js';
+
+/**
+ * Check whether text contains any complaint indicator
+ * @param {string} text - Raw text (any case)
+ * @returns {boolean}
+ */
+export function hasComplaintSignal(text) {
+  const lower = (text || '').toLowerCase();
+  return getTargeting('complaintDiscovery').complaintKeywords.some(kw => lower.includes(kw.toLowerCase()));
+}
@@ -0,0 +1,185 @@
+/**
+ * Re-redact Existing Complaints
+ * Applies the current redaction rules (see redaction.js) to complaints saved
+ * before redaction existed or under an older REDACTION_VERSION
+ *
+ * Usage:
+ *   node redact-existing.js              # Rows never redacted or redacted by older rules
+ *   node redact-existing.js --all        # Every row
+ *   node redact-existing.js --dry-run    # Report what would change, write nothing
+ *
+ * Rows with pii_original are re-redacted from the decrypted originals when
+ * PII_ENCRYPTION_KEY is set; otherwise the stored text is redacted in place.
+ * PII_AUTHOR_SALT is required, so existing author hashes are never replaced.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+import {
+  REDACTION_VERSION,
+  loadRedactionConfig,
+  redactComplaintRow,
+  decryptOriginals
+} from './redaction.js';
+import { simhash } from './fingerprint.js';
+
+// Parse CLI arguments
+const args = process.argv.slice(2);
+const isDryRun = args.includes('--dry-run');
+const includeAll = args.includes('--all');
+
+const PAGE_SIZE = 500;
+
+// Configuration
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('❌ SUPABASE_URL and SUPABASE_SERVICE_KEY are required');
+  process.exit(1);
+}
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+/**
+ * Main execution
+ */
+async function main() {
+  console.log('🔒 Complaint Re-redaction Starting...\n');
+
+  let config;
+  try {
+    config = loadRedactionConfig({ requireSalt: true });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log(`Rules: v${REDACTION_VERSION}`);
+  console.log(`Scope: ${includeAll ? 'all rows' : 'rows redacted by older rules or never redacted'}`);
+  console.log(`Encrypted originals: ${config.storeOriginals ? 'stored' : 'not stored'}`);
+  if (isDryRun) console.log('Mode: dry run (no writes)');
+  console.log('');
+
+  const totals = { scanned: 0, updated: 0, fromOriginals: 0, failed: 0 };
+  let lastId = null;
+
+  // Keyset pagination: updated rows drop out of the filter, so offsets would skip rows
+  while (true) {
+    let query = supabase
+      .from('complaints')
+      .select('id, post_url, author, title, raw_text, exact_phrases, metadata, redaction_version, pii_original')
+      .order('id')
+      .limit(PAGE_SIZE);
+
+    if (!includeAll) {
+      query = query.or(`redaction_version.is.null,redaction_version.lt.${REDACTION_VERSION}`);
+    }
+    if (lastId) {
+      query = query.gt('id', lastId);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      console.error(`❌ Could not load complaints: ${error.message}`);
+      process.exit(1);
+    }
+    if (!data || data.length === 0) break;
+
+    for (const row of data) {
+      totals.scanned++;
+      const { update, fromOriginals } = buildUpdate(row, config);
+
+      if (fromOriginals) totals.fromOriginals++;
+
+      if (isDryRun) {
+        const counts = update.metadata.redaction.counts;
+        const found = Object.entries(counts).filter(([, n]) => n > 0).map(([type, n]) => `${type}=${n}`);
+        if (found.length > 0) console.log(`  ${row.post_url}: ${found.join(', ')}`);
+        totals.updated++;
+        continue;
+      }
+
+      const { error: updateError } = await supabase
+        .from('complaints')
+        .update(update)
+        .eq('id', row.id);
+
+      if (updateError) {
+        console.log(`  ✗ Failed to update ${row.post_url}: ${updateError.message}`);
+        totals.failed++;
+      } else {
+        totals.updated++;
+      }
+    }
+
+    lastId = data[data.length - 1].id;
+    console.log(`  ...${totals.scanned} rows scanned`);
+
+    if (data.length < PAGE_SIZE) break;
+  }
+
+  console.log('\n📊 Summary:');
+  console.log(`  Rows scanned: ${totals.scanned}`);
+  console.log(`  Rows ${isDryRun ? 'to update' : 'updated'}: ${totals.updated}`);
+  console.log(`  Redacted from encrypted originals: ${totals.fromOriginals}`);
+  console.log(`  Failed updates: ${totals.failed}`);
+
+  if (totals.failed > 0) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Build the update for one row
+ * @returns {{update: Object, fromOriginals: boolean}}
+ */
+function buildUpdate(row, config) {
+  let source = {
+    author: row.author,
+    title: row.title,
+    raw_text: row.raw_text,
+    exact_phrases: row.exact_phrases,
+    parent: row.metadata?.parent || null
+  };
+  let fromOriginals = false;
+
+  if (row.pii_original && config.key) {
+    try {
+      source = decryptOriginals(row.pii_original, config.key);
+      fromOriginals = true;
+    } catch (error) {
+      console.log(`  Warning: Could not decrypt originals for ${row.post_url}: ${error.message}`);
+    }
+  }
+
+  // Stored text is only the original when it was never redacted
+  const haveOriginals = fromOriginals || row.redaction_version === null;
+
+  const redacted = redactComplaintRow({
+    author: source.author,
+    title: source.title,
+    raw_text: source.raw_text,
+    exact_phrases: source.exact_phrases,
+    metadata: { ...(row.metadata || {}), ...(source.parent && { parent: source.parent }) }
+  }, { ...config, storeOriginals: config.storeOriginals && haveOriginals });
+
+  const update = {
+    author: redacted.author,
+    title: redacted.title,
+    raw_text: redacted.raw_text,
+    exact_phrases: redacted.exact_phrases,
+    metadata: redacted.metadata,
+    redaction_version: redacted.redaction_version,
+    text_fingerprint: simhash(redacted.raw_text)
+  };
+
+  if (redacted.pii_original) {
+    update.pii_original = redacted.pii_original;
+  }
+
+  return { update, fromOriginals };
+}
+
+// Run
+main().catch(console.error);
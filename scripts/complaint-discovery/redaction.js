@@ -0,0 +1,233 @@
+/**
+ * PII Redaction
+ * Masks personal data in complaint text before it is persisted, hashes author
+ * handles, and optionally encrypts the originals for later re-redaction
+ *
+ * Environment:
+ *   PII_AUTHOR_SALT       - Salt for author handle hashes. Without it discovery
+ *                           still runs but stores authors as [unknown]
+ *                           (redact-existing.js requires it)
+ *   PII_STORE_ORIGINALS   - "true" to keep encrypted originals in complaints.pii_original
+ *   PII_ENCRYPTION_KEY    - 32-byte key (hex or base64), required when storing originals
+ */
+
+import crypto from 'crypto';
+
+// Bump when the rules change so redact-existing.js knows which rows to revisit
+export const REDACTION_VERSION = 3;
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+
+// Phone-shaped numbers only: an international number starting with "+", or a
+// 3-3-4 number with a parenthesized area code or separators. Dotted runs of
+// digits next to more digits (versions, IPs) don't count. 10-15 digits overall.
+const PHONE_PATTERN = /(?<![\w$]|\d[.-])(?:\+\d{1,3}[\s.-]?(?:\(\d{1,4}\)|\d{1,4})(?:[\s.-]?\d{2,4}){2,4}|(?:1[\s.-])?(?:\(\d{3}\)\s?|\d{3}[\s.-])\d{3}[\s.-]\d{4})(?![\w%]|[.-]\d)/g;
+
+// URLs that point at a specific person rather than a company or article
+const PROFILE_URL_PATTERN = new RegExp(
+  'https?://(?:www\\.)?(?:' + [
+    'linkedin\\.com/in/[^\\s)]+',
+    '(?:twitter|x)\\.com/(?!(?:home|search|i|intent|share)\\b)[A-Za-z0-9_]+[^\\s)]*',
+    'github\\.com/[A-Za-z0-9-]+/?(?=[\\s)]|$)',
+    '(?:facebook|instagram|tiktok)\\.com/[^\\s)]+',
+    '(?:old\\.)?reddit\\.com/u(?:ser)?/[^\\s)]+',
+    'news\\.ycombinator\\.com/user\\?id=[^\\s)]+',
+    'calendly\\.com/[^\\s)]+'
+  ].join('|') + ')',
+  'gi'
+);
+
+// Two or three capitalized words following a phrase that introduces a person.
+// No "i" flag: the name itself must be capitalized, so the cues spell out their own case.
+// Bare capitalized words aren't masked: in complaints they're mostly product and
+// tool names ("Stack Overflow", "Zoho Books") that pattern analysis relies on.
+const NAME_PATTERN = /\b((?:[Mm]y name is|I'm|[Cc]all me|named|[Rr]each out to|[Cc]ontact|[Aa]sk for|[Tt]alked to|[Ss]poke (?:to|with)|[Mm]et with|[Tt]exted|introduced me to|[Mm]y (?:co-?founder|cofounder|partner|boss|manager|CEO|CTO|wife|husband)),?)\s+([A-Z][a-z]+(?:-[A-Z][a-z]+)?(?:\s+[A-Z]\.)?(?:\s+[A-Z][a-z]+(?:-[A-Z][a-z]+)?){1,2})\b/g;
+
+/**
+ * Mask PII in a piece of text
+ * @param {string} text - Raw text
+ * @returns {{text: string, counts: Object}} Redacted text and matches per type
+ */
+export function redactText(text) {
+  const counts = { email: 0, phone: 0, profile_url: 0, name: 0 };
+
+  if (!text) return { text, counts };
+
+  let result = text
+    .replace(PROFILE_URL_PATTERN, () => { counts.profile_url++; return '[profile-url]'; })
+    .replace(EMAIL_PATTERN, () => { counts.email++; return '[email]'; })
+    .replace(PHONE_PATTERN, match => {
+      const digits = match.replace(/\D/g, '');
+      if (digits.length < 10 || digits.length > 15) return match;
+      counts.phone++;
+      return '[phone]';
+    });
+
+  result = result.replace(NAME_PATTERN, (match, cue) => {
+    counts.name++;
+    return `${cue} [name]`;
+  });
+
+  return { text: result, counts };
+}
+
+/**
+ * Hash an author handle with a salt
+ * @param {string} author - Author handle
+ * @param {string|null} salt - PII_AUTHOR_SALT; without one the handle is dropped
+ * @returns {string} Stable pseudonymous id
+ */
+export function hashAuthor(author, salt) {
+  if (!author || author === '[unknown]' || isHashedAuthor(author)) return author;
+  if (!salt) return '[unknown]';
+
+  const digest = crypto.createHash('sha256').update(`${salt}:${author}`).digest('hex');
+  return `anon_${digest.slice(0, 16)}`;
+}
+
+/**
+ * Whether an author value is already a hash from hashAuthor()
+ */
+export function isHashedAuthor(author) {
+  return /^anon_[0-9a-f]{16}$/.test(author || '');
+}
+
+/**
+ * Encrypt original values with AES-256-GCM
+ * @param {Object} originals - Values to keep
+ * @param {Buffer} key - 32-byte key
+ * @returns {string} v1:<iv>:<tag>:<ciphertext>, base64 parts
+ */
+export function encryptOriginals(originals, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(originals), 'utf-8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return ['v1', iv, tag, ciphertext].map(part => (typeof part === 'string' ? part : part.toString('base64'))).join(':');
+}
+
+/**
+ * Decrypt a value produced by encryptOriginals()
+ * @param {string} payload - Encrypted payload
+ * @param {Buffer} key - 32-byte key
+ * @returns {Object} Original values
+ */
+export function decryptOriginals(payload, key) {
+  const [version, iv, tag, ciphertext] = payload.split(':');
+  if (version !== 'v1') {
+    throw new Error(`Unsupported pii_original version "${version}"`);
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+
+  return JSON.parse(plaintext.toString('utf-8'));
+}
+
+/**
+ * Read redaction settings from the environment
+ * @param {Object} [options]
+ * @param {boolean} [options.requireSalt] - Throw without PII_AUTHOR_SALT instead
+ *   of falling back to dropping author handles
+ * @returns {{salt: string|null, storeOriginals: boolean, key: Buffer|null}}
+ */
+export function loadRedactionConfig({ requireSalt = false } = {}) {
+  const salt = process.env.PII_AUTHOR_SALT || null;
+  if (!salt) {
+    const message = 'PII_AUTHOR_SALT is not set (add it as a repository secret, e.g. the output of `openssl rand -hex 32`)';
+    if (requireSalt) throw new Error(message);
+    console.log(`⚠️  ${message}; author handles will be stored as [unknown]`);
+  }
+
+  const storeOriginals = process.env.PII_STORE_ORIGINALS === 'true';
+  const key = parseKey(process.env.PII_ENCRYPTION_KEY);
+
+  if (storeOriginals && !key) {
+    throw new Error('PII_STORE_ORIGINALS=true requires a 32-byte PII_ENCRYPTION_KEY (hex or base64)');
+  }
+
+  return { salt, storeOriginals, key };
+}
+
+/**
+ * Redact a complaints row before it is written
+ * @param {Object} row - complaints row (unredacted)
+ * @param {Object} config - From loadRedactionConfig()
+ * @returns {Object} Redacted row, with pii_original set when originals are stored
+ */
+export function redactComplaintRow(row, config) {
+  const counts = { email: 0, phone: 0, profile_url: 0, name: 0 };
+  const redact = text => {
+    const result = redactText(text);
+    for (const [type, n] of Object.entries(result.counts)) counts[type] += n;
+    return result.text;
+  };
+
+  const metadata = { ...(row.metadata || {}) };
+  if (metadata.parent) {
+    metadata.parent = {
+      ...metadata.parent,
+      title: redact(metadata.parent.title),
+      content: redact(metadata.parent.content)
+    };
+  }
+  metadata.redaction = { version: REDACTION_VERSION, counts };
+
+  const redacted = {
+    ...row,
+    author: hashAuthor(row.author, config.salt),
+    title: redact(row.title),
+    raw_text: redact(row.raw_text),
+    exact_phrases: (row.exact_phrases || []).map(redact),
+    metadata,
+    redaction_version: REDACTION_VERSION
+  };
+
+  if (config.storeOriginals) {
+    redacted.pii_original = encryptOriginals({
+      author: row.author,
+      title: row.title,
+      raw_text: row.raw_text,
+      exact_phrases: row.exact_phrases,
+      parent: row.metadata?.parent || null
+    }, config.key);
+  }
+
+  return redacted;
+}
+
+/**
+ * Redact a normalized post (see sources/index.js) before it is stored outside
+ * complaints, e.g. in complaint_quarantine
+ * @param {Object} post - Normalized post
+ * @param {Object} config - From loadRedactionConfig()
+ * @returns {Object} Redacted post
+ */
+export function redactPost(post, config) {
+  const redact = text => redactText(text).text;
+
+  return {
+    ...post,
+    author: hashAuthor(post.author, config.salt),
+    title: redact(post.title),
+    content: redact(post.content),
+    ...(post.parent && {
+      parent: { ...post.parent, title: redact(post.parent.title), content: redact(post.parent.content) }
+    })
+  };
+}
+
+/**
+ * Parse a 32-byte key from hex or base64
+ */
+function parseKey(value) {
+  if (!value) return null;
+
+  const key = /^[0-9a-f]{64}$/i.test(value)
+    ? Buffer.from(value, 'hex')
+    : Buffer.from(value, 'base64');
+
+  return key.length === 32 ? key : null;
+}
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { redactText } from './redaction.js';
+
+test('masks names introduced by a cue', () => {
+  assert.equal(redactText('I talked to John Smith yesterday').text, 'I talked to [name] yesterday');
+  assert.equal(redactText('My cofounder Mary Jane Watson quit').text, 'My cofounder [name] quit');
+  assert.equal(redactText('Hi, my name is Bob Lee').counts.name, 1);
+});
+
+test('keeps product and tool names', () => {
+  const texts = [
+    'Asked on Stack Overflow and Indie Hackers, nobody answered',
+    'We moved from Pipe Drive to Zoho Books and lost a month',
+    'Notion AI and Google Sheets are not a CRM',
+    'Our Sales Navigator Trial Ran Out before we booked a single demo'
+  ];
+
+  for (const text of texts) {
+    const result = redactText(text);
+    assert.equal(result.text, text);
+    assert.equal(result.counts.name, 0);
+  }
+});
+
+test('masks phone numbers but not version strings', () => {
+  assert.equal(redactText('call +1 (415) 555-1234 now').text, 'call [phone] now');
+  assert.equal(redactText('or 415-555-1234.').text, 'or [phone].');
+  assert.equal(redactText('version 2024.1234.5678').text, 'version 2024.1234.5678');
+  assert.equal(redactText('ip 192.168.100.200').text, 'ip 192.168.100.200');
+});
+
+test('masks emails and profile urls', () => {
+  const result = redactText('ping jane@example.com or https://www.linkedin.com/in/jane-doe');
+  assert.equal(result.text, 'ping [email] or [profile-url]');
+  assert.deepEqual(result.counts, { email: 1, phone: 0, profile_url: 1, name: 0 });
+});
@@ -0,0 +1,143 @@
+/**
+ * Complaint Reply Drafts
+ * Drafts a helpful, non-promotional reply for each high-pain complaint using
+ * the same persona and community guidelines as content-opportunity-finder.
+ * Each draft is written to complaint-replies/drafts/ as markdown and tracked
+ * in complaint_reply_drafts (status: draft → approved/skipped → posted).
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import fs from 'fs/promises';
+import path from 'path';
+
+import {
+  PERSONA,
+  BACKGROUND,
+  WORD_RANGE,
+  NO_PREAMBLE,
+  formatRequirements,
+  formatCommunityGuidelines
+} from '../shared/reply-guidelines.js';
+
+const anthropic = new Anthropic();
+
+// Configuration
+const OUTPUT_ROOT = process.env.OUTPUT_ROOT || process.cwd();
+
+// Complaints at or above this pain score get a reply draft (same bar as HIGH_PAIN_COUNT)
+export const REPLY_DRAFT_MIN_PAIN = 7;
+
+/**
+ * Generate a reply draft with Claude
+ * @param {Object} complaint - Normalized post merged with its analysis
+ * @param {Object} source - Source adapter
+ * @returns {Promise<string|null>} Draft text, or null on API error
+ */
+export async function generateReplyDraft(complaint, source) {
+  const prompt = `${PERSONA}
+
+Draft a reply to this ${source.label} post from someone describing a problem. The reply should:
+${formatRequirements(source.platform, ['Acknowledge the specific problem they describe before giving advice'])}
+
+## POST
+Platform: ${source.label}${complaint.subreddit ? ` (${complaint.subreddit})` : ''}
+Title: ${complaint.title}
+Text: ${complaint.content.slice(0, 2000)}
+${complaint.parent ? `\n## PARENT QUESTION\nTitle: ${complaint.parent.title}\n${complaint.parent.content || ''}\n` : ''}
+## THE PROBLEM
+${complaint.extractedProblem}
+Pain score: ${complaint.painScore}/10
+
+${BACKGROUND}
+
+${formatCommunityGuidelines(source.platform)}
+
+Generate the reply (${WORD_RANGE}). ${NO_PREAMBLE}`;
+
+  try {
+    const response = await anthropic.messages.create({
+      model: 'claude-sonnet-4-20250514',
+      max_tokens: 400,
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    return response.content[0].text.trim();
+  } catch (error) {
+    console.error('    Error generating reply draft:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Write a draft to markdown and record it in complaint_reply_drafts
+ * @param {Object} options
+ * @param {Object} options.supabase - Supabase client
+ * @param {Object} options.row - Saved (redacted) complaints row
+ * @param {string} options.complaintId - complaints.id
+ * @param {string} [options.runId] - complaint_scrape_runs.id
+ * @param {Object} options.source - Source adapter
+ * @param {string} options.draft - Draft text
+ * @returns {Promise<string|null>} Draft filename, or null if it could not be recorded
+ */
+export async function saveReplyDraft({ supabase, row, complaintId, runId, source, draft }) {
+  const draftsDir = path.join(OUTPUT_ROOT, 'complaint-replies/drafts');
+  await fs.mkdir(draftsDir, { recursive: true });
+
+  const date = new Date().toISOString().split('T')[0];
+  const slug = (row.title || 'complaint')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, 50);
+  // Titles repeat within a thread ("Comment on: ...", "Reply on: ..."), so the post id keeps names unique
+  const postId = String(row.post_id || complaintId).replace(/[^A-Za-z0-9_-]+/g, '-');
+  const filename = `${date}_${source.platform}_${postId}_${slug}.md`;
+
+  const fileContent = `# Reply Draft - ${row.title}
+
+## Complaint
+- **URL:** ${row.post_url}
+- **Platform:** ${source.label}${row.subreddit ? ` (${row.subreddit})` : ''}
+- **Pain Score:** ${row.pain_score}/10
+- **Category:** ${row.category}
+- **Problem:** ${row.extracted_problem}
+- **Generated:** ${new Date().toISOString()}
+
+### Exact Phrases
+${(row.exact_phrases || []).map(p => `- "${p}"`).join('\n')}
+
+---
+
+## Draft Reply
+
+${draft}
+
+---
+
+## Status
+- [ ] Reviewed
+- [ ] Posted
+`;
+
+  await fs.writeFile(path.join(draftsDir, filename), fileContent, 'utf-8');
+
+  const { error } = await supabase
+    .from('complaint_reply_drafts')
+    .upsert({
+      complaint_id: complaintId,
+      scrape_run_id: runId || null,
+      platform: source.platform,
+      post_url: row.post_url,
+      draft_file: `complaint-replies/drafts/${filename}`,
+      draft_text: draft,
+      status: 'draft'
+    }, {
+      onConflict: 'complaint_id'
+    });
+
+  if (error) {
+    console.log(`    Warning: Could not record reply draft: ${error.message}`);
+    return null;
+  }
+
+  return filename;
+}
@@ -0,0 +1,126 @@
+/**
+ * Complaint Analysis Schema
+ * Validates Claude's analysis output against the complaints table constraints
+ */
+
+import { COMPLAINT_CATEGORIES, INTENT_STAGES, URGENCY_LEVELS } from '../shared/taxonomy.js';
+
+// Allowed values of the complaints.category CHECK constraint
+export const CATEGORIES = COMPLAINT_CATEGORIES;
+
+export { INTENT_STAGES, URGENCY_LEVELS };
+
+// How far category weights may drift from summing to 1
+const WEIGHT_TOLERANCE = 0.05;
+
+/**
+ * Parse and validate a raw model response
+ * @param {string} text - Raw model output
+ * @returns {{analysis: Object|null, errors: string[]}}
+ */
+export function parseAnalysis(text) {
+  const jsonMatch = (text || '').match(/\{[\s\S]*\}/);
+
+  if (!jsonMatch) {
+    return { analysis: null, errors: ['Response did not contain a JSON object'] };
+  }
+
+  let analysis;
+  try {
+    analysis = JSON.parse(jsonMatch[0]);
+  } catch (error) {
+    return { analysis: null, errors: [`Response was not valid JSON: ${error.message}`] };
+  }
+
+  return { analysis, errors: validateAnalysis(analysis) };
+}
+
+/**
+ * Validate a parsed analysis object
+ * @param {Object} analysis - Parsed model output
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateAnalysis(analysis) {
+  const errors = [];
+
+  if (!analysis || typeof analysis !== 'object' || Array.isArray(analysis)) {
+    return ['Response must be a JSON object'];
+  }
+
+  if (typeof analysis.isComplaint !== 'boolean') {
+    errors.push('"isComplaint" must be true or false');
+  }
+
+  // Non-complaints only need the flag
+  if (analysis.isComplaint !== true) return errors;
+
+  if (typeof analysis.extractedProblem !== 'string' || !analysis.extractedProblem.trim()) {
+    errors.push('"extractedProblem" must be a non-empty string');
+  }
+
+  if (!Array.isArray(analysis.exactPhrases) || analysis.exactPhrases.length === 0) {
+    errors.push('"exactPhrases" must be a non-empty array of strings');
+  } else if (!analysis.exactPhrases.every(p => typeof p === 'string' && p.trim())) {
+    errors.push('"exactPhrases" must only contain non-empty strings');
+  }
+
+  if (!Number.isInteger(analysis.painScore) || analysis.painScore < 1 || analysis.painScore > 10) {
+    errors.push(`"painScore" must be an integer from 1 to 10 (got ${JSON.stringify(analysis.painScore)})`);
+  }
+
+  if (!CATEGORIES.includes(analysis.category)) {
+    errors.push(`"category" must be one of: ${CATEGORIES.join(', ')} (got ${JSON.stringify(analysis.category)})`);
+  }
+
+  errors.push(...validateCategoryWeights(analysis));
+
+  if (!INTENT_STAGES.includes(analysis.intentStage)) {
+    errors.push(`"intentStage" must be one of: ${INTENT_STAGES.join(', ')} (got ${JSON.stringify(analysis.intentStage)})`);
+  }
+
+  if (!Array.isArray(analysis.toolsTried) || !analysis.toolsTried.every(t => typeof t === 'string' && t.trim())) {
+    errors.push('"toolsTried" must be an array of non-empty strings (use [] when none are mentioned)');
+  }
+
+  if (!URGENCY_LEVELS.includes(analysis.urgency)) {
+    errors.push(`"urgency" must be one of: ${URGENCY_LEVELS.join(', ')} (got ${JSON.stringify(analysis.urgency)})`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the weighted category list
+ * Weights are in (0, 1], sum to ~1, and the primary category must be the heaviest
+ * @returns {string[]} Validation errors
+ */
+function validateCategoryWeights(analysis) {
+  const { categories } = analysis;
+
+  if (!Array.isArray(categories) || categories.length === 0) {
+    return ['"categories" must be a non-empty array of {"category", "weight"} objects'];
+  }
+
+  const errors = [];
+  for (const entry of categories) {
+    if (!CATEGORIES.includes(entry?.category)) {
+      errors.push(`"categories[].category" must be one of: ${CATEGORIES.join(', ')} (got ${JSON.stringify(entry?.category)})`);
+    }
+    if (typeof entry?.weight !== 'number' || entry.weight <= 0 || entry.weight > 1) {
+      errors.push(`"categories[].weight" must be a number greater than 0 and at most 1 (got ${JSON.stringify(entry?.weight)})`);
+    }
+  }
+  if (errors.length > 0) return errors;
+
+  const total = categories.reduce((sum, entry) => sum + entry.weight, 0);
+  if (Math.abs(total - 1) > WEIGHT_TOLERANCE) {
+    errors.push(`"categories" weights must sum to 1 (got ${total.toFixed(2)})`);
+  }
+
+  const heaviest = categories.reduce((a, b) => (b.weight > a.weight ? b : a));
+  if (heaviest.weight > (categories.find(c => c.category === analysis.category)?.weight ?? 0)) {
+    errors.push(`"category" must be the highest-weighted entry in "categories" (${heaviest.category})`);
+  }
+
+  return errors;
+}
@@ -0,0 +1,342 @@
+/**
+ * Hacker News source adapter
+ * Uses the HN Algolia API to find stories, comments and Ask HN posts
+ */
+
+import { getTargeting } from '../../shared/targeting.js';
+import { hasComplaintSignal } from '../keywords.js';
+import { stripHtml, sleep } from '../utils.js';
+
+// HN Algolia API base
+const HN_API = 'https://hn.algolia.com/api/v1';
+
+// Backfill page size (Algolia max)
+const BACKFILL_PAGE_SIZE = 100;
+
+// Thread expansion limits
+const MAX_REPLIES_PER_THREAD = 25;
+
+export const hackerNewsSource = {
+  id: 'hacker_news',
+  platform: 'hacker_news',
+  label: 'Hacker News',
+  channels: ['Hacker News'],
+
+  // Search terms come from the HN targeting config
+  get searchTerms() {
+    return targeting().searchTerms.map(t => t.term);
+  },
+
+  /**
+   * Fetch raw Algolia hits, tagged with the query they came from
+   * Each query only asks for hits newer than its high-water mark
+   * @param {Object} [context]
+   * @param {Object} [context.highWaterMarks] - Term -> newest unix timestamp from the last run
+   * @returns {Promise<Array<{kind: string, term: string, hit: Object}>>}
+   */
+  async fetch({ highWaterMarks = {} } = {}) {
+    console.log('🟠 Fetching from Hacker News API...');
+
+    const { hitsPerPage } = targeting();
+    const items = [];
+    const lookbackStart = lookbackCutoff();
+    const since = key => Math.max(lookbackStart, highWaterMarks[key] || 0);
+
+    // Search for relevant posts
+    for (const term of this.searchTerms) {
+      try {
+        console.log(`  Searching: "${term}"...`);
+
+        // Search stories
+        const storyUrl = `${HN_API}/search?query=${encodeURIComponent(term)}&tags=story&numericFilters=created_at_i>${since(`story:${term}`)}&hitsPerPage=${hitsPerPage.story}`;
+        const storyData = await fetchJson(storyUrl);
+        for (const hit of storyData.hits || []) {
+          items.push({ kind: 'story', term, hit });
+        }
+
+        // Also search comments for pain points
+        const commentUrl = `${HN_API}/search?query=${encodeURIComponent(term)}&tags=comment&numericFilters=created_at_i>${since(`comment:${term}`)}&hitsPerPage=${hitsPerPage.comment}`;
+        const commentData = await fetchJson(commentUrl);
+        for (const hit of commentData.hits || []) {
+          items.push({ kind: 'comment', term, hit });
+        }
+
+        await sleep(200); // Be nice to the API
+      } catch (e) {
+        console.log(`    Warning: Search failed for "${term}": ${e.message}`);
+      }
+    }
+
+    // Also get recent "Ask HN" posts (often contain pain points)
+    try {
+      console.log('  Fetching recent Ask HN posts...');
+      const askUrl = `${HN_API}/search?tags=ask_hn&numericFilters=created_at_i>${since('ask_hn')}&hitsPerPage=${hitsPerPage.askHn}`;
+      const askData = await fetchJson(askUrl);
+      for (const hit of askData.hits || []) {
+        items.push({ kind: 'ask_hn', term: 'ask_hn', hit });
+      }
+    } catch (e) {
+      console.log(`    Warning: Ask HN fetch failed: ${e.message}`);
+    }
+
+    return items;
+  },
+
+  /**
+   * Normalize a raw hit to the shared post shape
+   * Returns null when the hit doesn't look like a complaint candidate
+   */
+  normalize({ kind, term, hit }) {
+    const postDate = hit.created_at_i ? new Date(hit.created_at_i * 1000).toISOString() : null;
+
+    if (kind === 'comment') {
+      const text = hit.comment_text || '';
+
+      if (!hasComplaintSignal(text) || text.length <= 100) return null;
+
+      return {
+        postId: `hn_comment_${hit.objectID}`,
+        title: `Comment on: ${hit.story_title || 'HN Discussion'}`,
+        url: `https://news.ycombinator.com/item?id=${hit.objectID}`,
+        author: hit.author || '[unknown]',
+        upvotes: hit.points || 0,
+        comments: 0,
+        content: stripHtml(text).slice(0, 2000),
+        postDate,
+        searchTerm: `comment:${term}`,
+        categoryHint: categoryHint(term)
+      };
+    }
+
+    const text = `${hit.title || ''} ${hit.story_text || ''}`.toLowerCase();
+
+    if (kind === 'ask_hn') {
+      if (!targeting().businessKeywords.some(kw => text.includes(kw.toLowerCase()))) return null;
+    } else {
+      // Check for complaint indicators or just add if it's a relevant "Ask HN"
+      const isAskHN = hit.title?.toLowerCase().startsWith('ask hn');
+      if (!hasComplaintSignal(text) && !isAskHN) return null;
+    }
+
+    return {
+      postId: `hn_${hit.objectID}`,
+      title: hit.title || '',
+      url: `https://news.ycombinator.com/item?id=${hit.objectID}`,
+      author: hit.author || '[unknown]',
+      upvotes: hit.points || 0,
+      comments: hit.num_comments || 0,
+      content: stripHtml(hit.story_text || '').slice(0, 2000),
+      postDate,
+      searchTerm: kind === 'ask_hn' ? term : `story:${term}`,
+      categoryHint: categoryHint(term)
+    };
+  },
+
+  /**
+   * Page backwards through search_by_date for every query over [since, until)
+   * Each page moves the cursor down to the oldest hit seen, which sidesteps
+   * Algolia's 1000-hit pagination cap on long ranges. Hits sharing the oldest
+   * second can span pages, so the next request includes that second again and
+   * skips the hits already yielded. A cursor is exclusive: every hit at or
+   * after it has been yielded.
+   * @param {Object} range
+   * @param {number} range.since - Unix seconds (inclusive)
+   * @param {number} range.until - Unix seconds (exclusive)
+   * @param {Object} [range.cursors] - Checkpointed cursor per query key
+   * @yields {{key: string, cursor: number, items: Array}}
+   */
+  async *backfill({ since, until, cursors = {} }) {
+    const queries = [
+      ...this.searchTerms.flatMap(term => [
+        { key: `story:${term}`, kind: 'story', term, params: `query=${encodeURIComponent(term)}&tags=story` },
+        { key: `comment:${term}`, kind: 'comment', term, params: `query=${encodeURIComponent(term)}&tags=comment` }
+      ]),
+      { key: 'ask_hn', kind: 'ask_hn', term: 'ask_hn', params: 'tags=ask_hn' }
+    ];
+
+    for (const query of queries) {
+      let cursor = cursors[query.key] ?? until;
+
+      if (cursor <= since) {
+        console.log(`  ✓ ${query.key} already backfilled`);
+        continue;
+      }
+
+      console.log(`  Backfilling: ${query.key}...`);
+
+      let upper = cursor - 1;
+      let page = 0;
+      let seenAtUpper = new Set();
+
+      while (cursor > since) {
+        const url = `${HN_API}/search_by_date?${query.params}&numericFilters=created_at_i>=${since},created_at_i<=${upper}&hitsPerPage=${BACKFILL_PAGE_SIZE}&page=${page}`;
+        const data = await fetchJson(url);
+        const hits = data.hits || [];
+        const fresh = hits.filter(hit => !seenAtUpper.has(hit.objectID));
+
+        // An empty or short page means the range is exhausted
+        if (hits.length < BACKFILL_PAGE_SIZE) {
+          cursor = since;
+        } else {
+          const oldest = Math.min(...hits.map(h => h.created_at_i));
+          if (oldest === upper) {
+            // A full page within one second: page through that second
+            page++;
+          } else {
+            upper = oldest;
+            page = 0;
+            seenAtUpper = new Set();
+          }
+          for (const hit of hits) {
+            if (hit.created_at_i === upper) seenAtUpper.add(hit.objectID);
+          }
+          cursor = oldest + 1;
+        }
+
+        console.log(`    ${fresh.length} hits, cursor → ${new Date(cursor * 1000).toISOString().split('T')[0]}`);
+
+        yield {
+          key: query.key,
+          cursor,
+          items: fresh.map(hit => ({ kind: query.kind, term: query.term, hit }))
+        };
+
+        await sleep(200); // Be nice to the API
+      }
+    }
+  },
+
+  /**
+   * Expand relevant Ask HN threads into reply-level posts
+   * Ask HN replies keep arriving for days, so this looks at the whole
+   * lookback window rather than only stories that are new since the last run.
+   * Each thread has its own high-water mark (`thread:<story id>`), so only
+   * replies newer than the last handled one are returned, oldest first.
+   * @param {Object} context
+   * @param {Array} context.posts - Posts already collected this run
+   * @param {Object} [context.highWaterMarks] - Term -> newest unix timestamp from the last run
+   * @returns {Promise<Array>} Reply posts carrying their parent question
+   */
+  async expand({ posts, highWaterMarks = {} }) {
+    console.log('  Expanding Ask HN threads...');
+
+    const { hitsPerPage } = targeting();
+    const stories = new Map();
+
+    for (const post of posts) {
+      if (post.postId.startsWith('hn_comment_')) continue;
+      if (post.title.toLowerCase().startsWith('ask hn')) {
+        stories.set(post.postId.replace('hn_', ''), post);
+      }
+    }
+
+    try {
+      const askUrl = `${HN_API}/search?tags=ask_hn&numericFilters=created_at_i>${lookbackCutoff()},num_comments>0&hitsPerPage=${hitsPerPage.askHn}`;
+      const askData = await fetchJson(askUrl);
+      for (const hit of askData.hits || []) {
+        const post = this.normalize({ kind: 'ask_hn', term: 'ask_hn', hit });
+        if (post && !stories.has(hit.objectID)) {
+          stories.set(hit.objectID, post);
+        }
+      }
+    } catch (e) {
+      console.log(`    Warning: Ask HN thread lookup failed: ${e.message}`);
+    }
+
+    const replies = [];
+
+    for (const [storyId, story] of [...stories].slice(0, hitsPerPage.askHn)) {
+      try {
+        const tree = await fetchJson(`${HN_API}/items/${storyId}`);
+        const parent = {
+          postId: story.postId,
+          title: story.title,
+          url: story.url,
+          content: story.content.slice(0, 500)
+        };
+
+        // Oldest first, so replies past the cap stay above the mark for the next run
+        const threadTerm = `thread:${storyId}`;
+        const threadReplies = walkReplies(tree.children || [])
+          .filter(reply => (reply.created_at_i || 0) > (highWaterMarks[threadTerm] || 0))
+          .sort((a, b) => (a.created_at_i || 0) - (b.created_at_i || 0))
+          .map(reply => normalizeReply(reply, parent, threadTerm))
+          .filter(Boolean)
+          .slice(0, MAX_REPLIES_PER_THREAD);
+
+        replies.push(...threadReplies);
+        await sleep(200); // Be nice to the API
+      } catch (e) {
+        console.log(`    Warning: Thread fetch failed for ${storyId}: ${e.message}`);
+      }
+    }
+
+    console.log(`  Expanded ${stories.size} threads into ${replies.length} candidate replies`);
+    return replies;
+  }
+};
+
+/**
+ * Active complaint-discovery targeting config
+ */
+function targeting() {
+  return getTargeting('complaintDiscovery');
+}
+
+/**
+ * Start of the lookback window, in unix seconds
+ */
+function lookbackCutoff() {
+  return Math.floor(Date.now() / 1000) - (targeting().lookbackDays * 24 * 60 * 60);
+}
+
+/**
+ * Category hint configured for a search term, if any
+ */
+function categoryHint(term) {
+  return targeting().searchTerms.find(t => t.term === term)?.categoryHint;
+}
+
+/**
+ * Flatten an Algolia item tree into a list of comments, depth-first
+ */
+function walkReplies(children) {
+  const replies = [];
+  for (const child of children) {
+    if (child.type === 'comment' && child.text) {
+      replies.push(child);
+    }
+    replies.push(...walkReplies(child.children || []));
+  }
+  return replies;
+}
+
+/**
+ * Normalize a thread reply, keeping only ones that read like complaints
+ */
+function normalizeReply(reply, parent, searchTerm) {
+  const content = stripHtml(reply.text);
+
+  if (content.length <= 100 || !hasComplaintSignal(content)) return null;
+
+  return {
+    postId: `hn_comment_${reply.id}`,
+    title: `Reply on: ${parent.title}`,
+    url: `https://news.ycombinator.com/item?id=${reply.id}`,
+    author: reply.author || '[unknown]',
+    upvotes: reply.points || 0,
+    comments: (reply.children || []).length,
+    content: content.slice(0, 2000),
+    postDate: reply.created_at_i ? new Date(reply.created_at_i * 1000).toISOString() : null,
+    searchTerm,
+    parent
+  };
+}
+
+/**
+ * Fetch and parse a JSON response
+ */
+async function fetchJson(url) {
+  const response = await fetch(url);
+  return response.json();
+}
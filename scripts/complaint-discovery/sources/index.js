@@ -0,0 +1,171 @@
+/**
+ * Complaint Source Registry
+ *
+ * Every source adapter is a plain object with:
+ *   id          - Registry key used by COMPLAINT_SOURCES / --sources=
+ *   platform    - Value written to complaints.platform (must pass the CHECK constraint)
+ *   label       - Human-readable name used in logs and prompts
+ *   searchTerms - Terms recorded on complaint_scrape_runs.search_terms
+ *   channels    - Communities recorded on complaint_scrape_runs.subreddits_scraped
+ *   fetch(ctx)  - Returns raw items from the source; ctx.highWaterMarks lets
+ *                 sources that support it only request newer items
+ *   normalize() - Maps one raw item to {postId, title, url, author, upvotes,
+ *                 comments, content, postDate}, or null to drop it.
+ *                 May also set `subreddit` when the source has communities,
+ *                 and `searchTerm` (the query that surfaced the post) so the
+ *                 run can keep a per-term high-water mark.
+ *   backfill(r) - Optional. Async generator over [r.since, r.until) yielding
+ *                 pages of {key, cursor, items}; r.cursors holds the last
+ *                 checkpointed cursor per key so an interrupted run resumes.
+ *   expand(ctx) - Optional. Returns extra normalized posts derived from the
+ *                 collected ones (e.g. thread replies); ctx.highWaterMarks
+ *                 is passed as for fetch(). Expanded posts may carry `parent`
+ *                 context, and go through the same high-water mark check:
+ *                 give them a `searchTerm` (e.g. one per thread) or every run
+ *                 will see them as new.
+ */
+
+import { hackerNewsSource } from './hacker-news.js';
+import { redditSource } from './reddit.js';
+
+// Allowed values of the complaints.platform CHECK constraint
+const PLATFORMS = ['reddit', 'quora', 'twitter', 'linkedin', 'indie_hackers', 'hacker_news'];
+
+const registry = new Map();
+
+/**
+ * Register a source adapter
+ * @param {Object} source - Source adapter
+ */
+export function registerSource(source) {
+  for (const key of ['id', 'platform', 'label']) {
+    if (!source[key]) throw new Error(`Source adapter is missing "${key}"`);
+  }
+  for (const key of ['fetch', 'normalize']) {
+    if (typeof source[key] !== 'function') {
+      throw new Error(`Source "${source.id}" must implement ${key}()`);
+    }
+  }
+  if (!PLATFORMS.includes(source.platform)) {
+    throw new Error(`Source "${source.id}" has unsupported platform "${source.platform}"`);
+  }
+
+  registry.set(source.id, source);
+}
+
+/**
+ * List registered source ids
+ * @returns {string[]}
+ */
+export function listSources() {
+  return [...registry.keys()];
+}
+
+/**
+ * Resolve source ids to adapters
+ * @param {string[]} ids - Source ids, in run order
+ * @returns {Object[]} Source adapters
+ */
+export function getSources(ids) {
+  return ids.map(id => {
+    const source = registry.get(id);
+    if (!source) {
+      throw new Error(`Unknown complaint source "${id}" (available: ${listSources().join(', ')})`);
+    }
+    return source;
+  });
+}
+
+/**
+ * Fetch and normalize posts from a source, deduplicated by URL
+ * Posts at or below their term's high-water mark were seen by an earlier run
+ * and are dropped; this covers expanded posts too. Posts without a searchTerm
+ * or postDate are never treated as seen. The marks aren't moved here: pass
+ * termHits to advanceHighWaterMarks() once the posts have been handled.
+ * @param {Object} source - Source adapter
+ * @param {Object} [options]
+ * @param {Object} [options.highWaterMarks] - Term -> newest unix timestamp from the last run
+ * @param {boolean} [options.expandThreads] - Run the source's expand() step, if it has one
+ * @returns {Promise<Object>} { posts, termHits, skippedSeen }
+ */
+export async function collectPosts(source, { highWaterMarks = {}, expandThreads = false } = {}) {
+  const items = await source.fetch({ highWaterMarks });
+
+  const termHits = [];
+  const posts = [];
+  const seenUrls = new Set();
+
+  const addPost = post => {
+    const postedAt = post.postDate ? Math.floor(Date.parse(post.postDate) / 1000) : null;
+    if (post.searchTerm && postedAt) {
+      if (postedAt <= (highWaterMarks[post.searchTerm] || 0)) {
+        seenUrls.add(post.url);
+        return;
+      }
+      termHits.push({ term: post.searchTerm, url: post.url, postedAt });
+    }
+
+    posts.push({ subreddit: source.label, ...post });
+  };
+
+  for (const item of items) {
+    const post = source.normalize(item);
+    if (post) addPost(post);
+  }
+
+  if (expandThreads && typeof source.expand === 'function') {
+    const expanded = await source.expand({ posts, highWaterMarks });
+    expanded.forEach(addPost);
+  }
+
+  // Deduplicate by URL
+  const unique = [...new Map(posts.map(p => [p.url, p])).values()];
+  const skippedSeen = [...seenUrls].filter(url => !unique.some(p => p.url === url)).length;
+  console.log(`  Found ${unique.length} unique posts (${skippedSeen} already seen)`);
+
+  return { posts: unique, termHits, skippedSeen };
+}
+
+/**
+ * Move each term's high-water mark up to its newest handled post
+ * A mark never passes a post that wasn't handled (e.g. the analysis call
+ * failed), so the next run fetches that post again.
+ * @param {Object} highWaterMarks - Term -> newest unix timestamp from the last run
+ * @param {Array<{term, url, postedAt}>} termHits - From collectPosts()
+ * @param {Set<string>} handledUrls - URLs of posts that were stored, quarantined or found not to be complaints
+ * @returns {Object} Term -> newest unix timestamp for the next run
+ */
+export function advanceHighWaterMarks(highWaterMarks, termHits, handledUrls) {
+  const marks = { ...highWaterMarks };
+
+  const oldestUnhandled = {};
+  for (const hit of termHits) {
+    if (handledUrls.has(hit.url)) continue;
+    oldestUnhandled[hit.term] = Math.min(oldestUnhandled[hit.term] ?? Infinity, hit.postedAt);
+  }
+
+  for (const hit of termHits) {
+    if (!handledUrls.has(hit.url) || hit.postedAt >= (oldestUnhandled[hit.term] ?? Infinity)) continue;
+    marks[hit.term] = Math.max(marks[hit.term] || 0, hit.postedAt);
+  }
+
+  return marks;
+}
+
+/**
+ * Normalize raw items from a source, deduplicated by URL
+ * @param {Object} source - Source adapter
+ * @param {Array} items - Raw items from fetch() or backfill()
+ * @returns {Array} Normalized posts
+ */
+export function normalizeItems(source, items) {
+  const posts = items
+    .map(item => source.normalize(item))
+    .filter(Boolean)
+    .map(post => ({ subreddit: source.label, ...post }));
+
+  return [...new Map(posts.map(p => [p.url, p])).values()];
+}
+
+registerSource(hackerNewsSource);
+registerSource(redditSource);
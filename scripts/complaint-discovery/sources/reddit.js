@@ -0,0 +1,279 @@
+/**
+ * Reddit source adapter
+ * Reads the public .json listing and search endpoints for a list of subreddits.
+ * Searches cover REDDIT_LOOKBACK_DAYS (or the --since range when backfilling).
+ *
+ * Set REDDIT_FIXTURES_DIR to replay recorded listings from disk instead of
+ * hitting the network. Files are named after the request they replace:
+ *   <subreddit>-new.json
+ *   <subreddit>-search-<term-slug>.json
+ *
+ * Recorded listings live in fixtures/reddit, and `npm test` runs them through
+ * normalize() (see reddit.test.js):
+ *   REDDIT_FIXTURES_DIR=fixtures/reddit REDDIT_LOOKBACK_DAYS=3650 node index.js --sources=reddit --dry-run
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+import { hasComplaintSignal } from '../keywords.js';
+import { sleep } from '../utils.js';
+
+// Reddit public JSON base
+const REDDIT_API = 'https://www.reddit.com';
+
+// Reddit rejects requests without a descriptive User-Agent
+const USER_AGENT = 'andru-complaint-discovery/1.0';
+
+// Default search terms, run inside each subreddit
+const SEARCH_TERMS = [
+  'first sales hire',
+  'no customers',
+  'finding customers',
+  'product market fit',
+  'ideal customer',
+  'cold outreach'
+];
+
+// Backfill listing page size (Reddit max)
+const BACKFILL_PAGE_SIZE = 100;
+
+// Reddit search `t` windows, smallest first
+const SEARCH_WINDOWS = [
+  { t: 'day', days: 1 },
+  { t: 'week', days: 7 },
+  { t: 'month', days: 31 },
+  { t: 'year', days: 365 }
+];
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Per-subreddit configuration
+const SUBREDDITS = [
+  { name: 'startups', newLimit: 100, searchTerms: SEARCH_TERMS },
+  { name: 'SaaS', newLimit: 100, searchTerms: SEARCH_TERMS },
+  { name: 'sales', newLimit: 50, searchTerms: ['first sales hire', 'founder led sales', 'no pipeline'] },
+  { name: 'Entrepreneur', newLimit: 50, searchTerms: ['no customers', 'finding customers', 'b2b sales'] }
+];
+
+/**
+ * Create a Reddit source adapter
+ * @param {Object} options
+ * @param {Array} [options.subreddits] - Per-subreddit config ({name, newLimit, searchTerms})
+ * @param {number} [options.lookbackDays] - Ignore posts older than this
+ * @param {Function} [options.fetchJson] - (url, fixtureName) => Promise<Object> listing
+ * @param {number} [options.delayMs] - Pause between search requests
+ * @returns {Object} Source adapter
+ */
+export function createRedditSource(options = {}) {
+  const subreddits = options.subreddits || resolveSubreddits();
+  const lookbackDays = options.lookbackDays ?? parseInt(process.env.REDDIT_LOOKBACK_DAYS || '7', 10);
+  const fetchJson = options.fetchJson || defaultFetchJson;
+  const delayMs = options.delayMs ?? (process.env.REDDIT_FIXTURES_DIR ? 0 : 1000);
+
+  return {
+    id: 'reddit',
+    platform: 'reddit',
+    label: 'Reddit',
+    searchTerms: [...new Set(subreddits.flatMap(s => s.searchTerms || []))],
+    channels: subreddits.map(s => s.name),
+
+    /**
+     * Fetch raw listing children for every configured subreddit
+     * @returns {Promise<Array<{term: string, data: Object}>>} Reddit `t3` post data, tagged with its query
+     */
+    async fetch() {
+      console.log('🔴 Fetching from Reddit...');
+
+      const items = [];
+
+      for (const sub of subreddits) {
+        // Newest posts in the subreddit
+        try {
+          console.log(`  Listing: r/${sub.name}/new...`);
+          const url = `${REDDIT_API}/r/${sub.name}/new.json?limit=${sub.newLimit || 100}`;
+          const listing = await fetchJson(url, `${sub.name}-new.json`);
+          items.push(...listingPosts(listing, `r/${sub.name}:new`));
+        } catch (e) {
+          console.log(`    Warning: Listing failed for r/${sub.name}: ${e.message}`);
+        }
+
+        // Keyword searches restricted to the subreddit
+        for (const term of sub.searchTerms || []) {
+          try {
+            console.log(`  Searching r/${sub.name}: "${term}"...`);
+            const url = `${REDDIT_API}/r/${sub.name}/search.json?q=${encodeURIComponent(term)}&restrict_sr=1&sort=new&t=${searchWindow(lookbackDays)}&limit=25`;
+            const listing = await fetchJson(url, `${sub.name}-search-${slugify(term)}.json`);
+            items.push(...listingPosts(listing, `r/${sub.name}:${term}`));
+          } catch (e) {
+            console.log(`    Warning: Search failed for "${term}" in r/${sub.name}: ${e.message}`);
+          }
+
+          await sleep(delayMs); // Unauthenticated limit is ~60 requests/minute
+        }
+      }
+
+      return items;
+    },
+
+    /**
+     * Page through the new listing and every search, newest first, keeping
+     * posts created in [since, until)
+     * Listings and searches stop at about 1000 posts, so a backfill reaches as
+     * far back as those do. A cursor is exclusive: every post at or after it
+     * has been yielded.
+     * @param {Object} range
+     * @param {number} range.since - Unix seconds (inclusive)
+     * @param {number} range.until - Unix seconds (exclusive)
+     * @param {Object} [range.cursors] - Checkpointed cursor per query key
+     * @yields {{key: string, cursor: number, items: Array}}
+     */
+    async *backfill({ since, until, cursors = {} }) {
+      const t = searchWindow((Date.now() / 1000 - since) / DAY_SECONDS);
+
+      const queries = subreddits.flatMap(sub => [
+        {
+          key: `r/${sub.name}:new`,
+          path: `/r/${sub.name}/new.json?limit=${BACKFILL_PAGE_SIZE}`,
+          fixtureName: `${sub.name}-new.json`
+        },
+        ...(sub.searchTerms || []).map(term => ({
+          key: `r/${sub.name}:${term}`,
+          path: `/r/${sub.name}/search.json?q=${encodeURIComponent(term)}&restrict_sr=1&sort=new&t=${t}&limit=${BACKFILL_PAGE_SIZE}`,
+          fixtureName: `${sub.name}-search-${slugify(term)}.json`
+        }))
+      ]);
+
+      for (const query of queries) {
+        let cursor = cursors[query.key] ?? until;
+
+        if (cursor <= since) {
+          console.log(`  ✓ ${query.key} already backfilled`);
+          continue;
+        }
+
+        console.log(`  Backfilling: ${query.key}...`);
+
+        let after = null;
+        while (cursor > since) {
+          const listing = await fetchJson(`${REDDIT_API}${query.path}${after ? `&after=${after}` : ''}`, query.fixtureName);
+          const posts = listingPosts(listing, query.key);
+          const times = posts.map(p => p.data.created_utc || 0);
+          const next = listing?.data?.after || null;
+
+          const items = posts
+            .filter(p => p.data.created_utc >= since && p.data.created_utc < cursor)
+            .map(p => ({ ...p, backfill: true }));
+
+          // Listing exhausted (or repeating itself) or paged past the range
+          const oldest = times.length > 0 ? Math.min(...times) : since;
+          cursor = !next || next === after || oldest < since ? since : Math.min(cursor, oldest + 1);
+          after = next;
+
+          console.log(`    ${items.length} posts, cursor → ${new Date(cursor * 1000).toISOString().split('T')[0]}`);
+
+          yield { key: query.key, cursor, items };
+
+          await sleep(delayMs); // Unauthenticated limit is ~60 requests/minute
+        }
+      }
+    },
+
+    /**
+     * Normalize a Reddit post to the shared post shape
+     * Returns null for stale, removed or non-complaint posts. Backfilled
+     * posts were already limited to the backfill range.
+     */
+    normalize({ term, data, backfill = false }) {
+      if (!data || data.stickied) return null;
+
+      const cutoff = Math.floor(Date.now() / 1000) - (lookbackDays * DAY_SECONDS);
+      if (!backfill && (data.created_utc || 0) < cutoff) return null;
+
+      const body = ['[removed]', '[deleted]'].includes(data.selftext) ? '' : (data.selftext || '');
+      if (!hasComplaintSignal(`${data.title || ''} ${body}`)) return null;
+
+      return {
+        postId: `reddit_${data.id}`,
+        title: data.title || '',
+        url: `${REDDIT_API}${data.permalink}`,
+        author: data.author || '[unknown]',
+        upvotes: data.score || 0,
+        comments: data.num_comments || 0,
+        content: body.replace(/\s+/g, ' ').trim().slice(0, 2000),
+        postDate: new Date(data.created_utc * 1000).toISOString(),
+        subreddit: data.subreddit,
+        searchTerm: term
+      };
+    }
+  };
+}
+
+export const redditSource = createRedditSource();
+
+/**
+ * Resolve subreddits from REDDIT_SUBREDDITS (comma-separated names)
+ * Unknown names get the default search terms
+ */
+function resolveSubreddits() {
+  const names = (process.env.REDDIT_SUBREDDITS || '')
+    .split(',')
+    .map(name => name.trim().replace(/^r\//, ''))
+    .filter(Boolean);
+
+  if (names.length === 0) return SUBREDDITS;
+
+  return names.map(name =>
+    SUBREDDITS.find(s => s.name.toLowerCase() === name.toLowerCase()) ||
+    { name, newLimit: 100, searchTerms: SEARCH_TERMS }
+  );
+}
+
+/**
+ * Smallest Reddit search `t` window covering a number of days
+ */
+function searchWindow(days) {
+  return SEARCH_WINDOWS.find(w => days <= w.days)?.t || 'all';
+}
+
+/**
+ * Extract post data from a Reddit listing response
+ */
+function listingPosts(listing, term) {
+  return (listing?.data?.children || [])
+    .filter(child => child.kind === 't3')
+    .map(child => ({ term, data: child.data }));
+}
+
+/**
+ * Fetch a listing from the network, or from REDDIT_FIXTURES_DIR when set
+ */
+async function defaultFetchJson(url, fixtureName) {
+  const fixturesDir = process.env.REDDIT_FIXTURES_DIR;
+
+  if (fixturesDir) {
+    try {
+      const content = await fs.readFile(path.join(fixturesDir, fixtureName), 'utf-8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') return { data: { children: [] } };
+      throw error;
+    }
+  }
+
+  const response = await fetch(url, { headers: { 'User-Agent': USER_AGENT } });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Generate a filename-safe slug
+ */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { createRedditSource } from './reddit.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/reddit');
+
+// Replays fixtures/reddit; listings without a recording come back empty
+async function fixtureFetchJson(url, fixtureName) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(FIXTURES_DIR, fixtureName), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return { data: { children: [] } };
+    throw error;
+  }
+}
+
+function fixtureSource(options = {}) {
+  return createRedditSource({
+    subreddits: [{ name: 'startups', newLimit: 100, searchTerms: ['finding customers'] }],
+    // Recordings are from November 2025
+    lookbackDays: 36500,
+    fetchJson: fixtureFetchJson,
+    delayMs: 0,
+    ...options
+  });
+}
+
+async function normalizedFixtures(source) {
+  const items = await source.fetch();
+  return items.map(item => source.normalize(item)).filter(Boolean);
+}
+
+test('normalizes recorded listings to the shared post shape', async () => {
+  const posts = await normalizedFixtures(fixtureSource());
+  const post = posts.find(p => p.postId === 'reddit_1gx0b2b');
+
+  assert.deepEqual(post, {
+    postId: 'reddit_1gx0b2b',
+    title: '8 months building and still no customers. What am I doing wrong?',
+    url: 'https://www.reddit.com/r/startups/comments/1gx0b2b/8_months_building_and_still_no_customers/',
+    author: 'quiet_builder_42',
+    upvotes: 87,
+    comments: 64,
+    content: "Technical founder here. We built a B2B analytics tool, did a Show HN, posted on LinkedIn, sent ~400 cold emails. Two demos, zero paying customers. I honestly can't figure out who the buyer is supposed to be. Should I pivot or keep pushing?",
+    postDate: new Date(1763622000 * 1000).toISOString(),
+    subreddit: 'startups',
+    searchTerm: 'r/startups:new'
+  });
+});
+
+test('tags search results with the subreddit and term that found them', async () => {
+  const posts = await normalizedFixtures(fixtureSource());
+  const post = posts.find(p => p.postId === 'reddit_1gwz9e5');
+
+  assert.equal(post.searchTerm, 'r/startups:finding customers');
+  assert.equal(post.url, 'https://www.reddit.com/r/startups/comments/1gwz9e5/frustrated_with_finding_customers_for_a_/');
+  assert.equal(post.upvotes, 31);
+  assert.equal(post.comments, 22);
+});
+
+test('drops stickied, non-complaint and stale posts', async () => {
+  const posts = await normalizedFixtures(fixtureSource());
+  const ids = posts.map(p => p.postId);
+
+  assert.ok(!ids.includes('reddit_1gx0a1a'), 'stickied thread is dropped');
+  assert.ok(!ids.includes('reddit_1gx0c3d'), 'milestone post has no complaint signal');
+
+  const stale = await normalizedFixtures(fixtureSource({ lookbackDays: 0 }));
+  assert.deepEqual(stale, []);
+});
+
+test('treats removed bodies as empty', async () => {
+  const source = fixtureSource();
+  const post = source.normalize({
+    term: 'r/startups:new',
+    data: {
+      id: 'x1',
+      title: 'Frustrated that we still have no customers',
+      selftext: '[removed]',
+      permalink: '/r/startups/comments/x1/',
+      created_utc: 1763655000,
+      subreddit: 'startups'
+    }
+  });
+
+  assert.equal(post.content, '');
+  assert.equal(post.author, '[unknown]');
+  assert.equal(post.upvotes, 0);
+});
+
+test('searches the smallest window that covers the lookback', async () => {
+  for (const [lookbackDays, t] of [[1, 'day'], [7, 'week'], [30, 'month'], [90, 'year'], [3650, 'all']]) {
+    const urls = [];
+    const source = fixtureSource({
+      lookbackDays,
+      fetchJson: (url, fixtureName) => { urls.push(url); return fixtureFetchJson(url, fixtureName); }
+    });
+    await source.fetch();
+
+    const search = urls.find(url => url.includes('/search.json'));
+    assert.equal(new URL(search).searchParams.get('t'), t);
+  }
+});
+
+test('backfills only posts created inside the range', async () => {
+  const source = fixtureSource({ lookbackDays: 0 });
+  const since = 1763600000;
+  const until = 1763650000;
+
+  const pages = [];
+  for await (const page of source.backfill({ since, until })) pages.push(page);
+
+  const posts = pages.flatMap(page => page.items).map(item => source.normalize(item)).filter(Boolean);
+  assert.deepEqual(posts.map(p => p.postId), ['reddit_1gx0b2b']);
+  assert.ok(pages.every(page => page.cursor === since), 'every query runs to the start of the range');
+});
@@ -0,0 +1,127 @@
+/**
+ * Answer Critique
+ * Scores a generated answer against the rules its prompt asked for. Length,
+ * opener and Andru mentions are checked locally; tone, helpfulness and other
+ * product mentions are judged by Claude.
+ *
+ * qualityScore is the weighted share (0-100) of checks that passed. An answer
+ * passes only when every check does, so an answer the model could not review
+ * never passes.
+ */
+
+import { WORD_LIMITS, formatCommunityGuidelines } from '../shared/reply-guidelines.js';
+
+// Checklist, weights sum to 100
+const CHECKS = {
+  no_product_mention: 25,
+  word_count: 20,
+  no_preamble: 15,
+  tone: 20,
+  actionable: 20
+};
+
+// Openers the prompt forbids ("Great question!", "Thanks for sharing"...)
+const PREAMBLE_PATTERN = /^(great|good|excellent|interesting|fantastic) (question|point|post)|^(thanks|thank you) for (asking|sharing|posting)|^what a (great|good)/i;
+
+const OWN_PRODUCT_PATTERN = /\bandru\b|andru-ai\.com/i;
+
+/**
+ * Critique an answer
+ * @param {Object} anthropic - Anthropic client
+ * @param {string} answer - Generated answer
+ * @param {Object} opp - Opportunity the answer responds to
+ * @param {string} [platform] - complaints.platform value for tone rules
+ * @returns {Promise<{passed: boolean, qualityScore: number, critiqueNotes: string[]}>}
+ */
+export async function critiqueAnswer(anthropic, answer, opp, platform = 'hacker_news') {
+  const results = {};
+
+  const words = answer.split(/\s+/).filter(Boolean).length;
+  results.word_count = {
+    passed: words >= WORD_LIMITS.min && words <= WORD_LIMITS.max,
+    note: `${words} words (target ${WORD_LIMITS.min}-${WORD_LIMITS.max})`
+  };
+
+  const opener = answer.split(/[.!?\n]/)[0].trim();
+  results.no_preamble = PREAMBLE_PATTERN.test(opener)
+    ? { passed: false, note: `opens with "${opener.slice(0, 40)}"` }
+    : { passed: true, note: 'opens with substance' };
+
+  const ownMention = answer.match(OWN_PRODUCT_PATTERN);
+  if (ownMention) {
+    results.no_product_mention = { passed: false, note: `mentions "${ownMention[0]}"` };
+  }
+
+  const review = await reviewAnswer(anthropic, answer, opp, platform);
+  if (review) {
+    results.no_product_mention = results.no_product_mention || review.no_product_mention;
+    results.tone = review.tone;
+    results.actionable = review.actionable;
+  }
+
+  // Checks the model could not review are left out of the score
+  const ran = Object.keys(CHECKS).filter(check => results[check]);
+  const passedWeight = ran.filter(check => results[check].passed).reduce((sum, check) => sum + CHECKS[check], 0);
+  const ranWeight = ran.reduce((sum, check) => sum + CHECKS[check], 0);
+
+  const critiqueNotes = ran.map(check => `${results[check].passed ? '✓' : '✗'} ${check}: ${results[check].note}`);
+  if (!review) critiqueNotes.push('⚠ Review unavailable; tone and helpfulness not checked');
+
+  return {
+    passed: Boolean(review) && ran.every(check => results[check].passed),
+    qualityScore: ranWeight > 0 ? Math.round((passedWeight / ranWeight) * 100) : 0,
+    critiqueNotes
+  };
+}
+
+/**
+ * Claude review of the checks that need judgement
+ * @returns {Promise<Object|null>} {no_product_mention, tone, actionable} as {passed, note}, or null on failure
+ */
+async function reviewAnswer(anthropic, answer, opp, platform) {
+  const prompt = `You review answers before they are posted to online communities. Check this answer against the checklist.
+
+## QUESTION
+Title: ${opp.title}
+${opp.body ? `Body: ${opp.body}` : ''}
+
+## ANSWER
+${answer}
+
+${formatCommunityGuidelines(platform)}
+
+## CHECKLIST
+- no_product_mention: The answer names no product, company or tool as a recommendation or pitch (mentioning a tool the asker already uses is fine)
+- tone: The answer follows the community guidelines above (no marketing speak or fluff)
+- actionable: The answer gives specific, actionable advice that addresses this question, not generic tips
+
+## OUTPUT FORMAT
+Respond in JSON only, with a one-sentence note per check explaining the verdict:
+{
+  "no_product_mention": {"passed": true, "note": "..."},
+  "tone": {"passed": true, "note": "..."},
+  "actionable": {"passed": false, "note": "..."}
+}`;
+
+  try {
+    const response = await anthropic.messages.create({
+      model: 'claude-sonnet-4-20250514',
+      max_tokens: 400,
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    const jsonMatch = response.content[0].text.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) return null;
+
+    const parsed = JSON.parse(jsonMatch[0]);
+    const review = {};
+    for (const check of ['no_product_mention', 'tone', 'actionable']) {
+      if (typeof parsed[check]?.passed !== 'boolean') return null;
+      review[check] = { passed: parsed[check].passed, note: String(parsed[check].note || '').trim() };
+    }
+    return review;
+  } catch (error) {
+    console.error('    Error reviewing answer:', error.message);
+    return null;
+  }
+}
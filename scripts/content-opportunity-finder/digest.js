@@ -0,0 +1,166 @@
+/**
+ * Review Digest
+ * Renders a day's opportunities (the daily JSON output) as a markdown digest
+ * and a standalone HTML page that reads well on a phone
+ */
+
+// Existing-reply positions shown per entry
+const MAX_POSITIONS = 3;
+
+/**
+ * Render the digest as markdown
+ * @param {Object} output - Daily output written by saveOpportunities()
+ * @returns {string}
+ */
+export function renderMarkdown(output) {
+  let md = `# Content Opportunities - ${output.date}
+
+**Platforms:** ${output.platforms.join(', ')}
+**Opportunities:** ${output.totalOpportunities}
+**Scoring model:** v${output.scoringModelVersion}
+`;
+
+  output.opportunities.forEach((opp, index) => {
+    md += `
+---
+
+## ${index + 1}. ${opp.title}
+
+- **Platform:** ${opp.platform} (${opp.type})
+- **Link:** ${opp.url}
+- **Author:** ${opp.author}
+- **Relevance:** ${opp.relevanceScore}
+- **Answer quality:** ${opp.qualityScore ?? '-'}/100${opp.critiquePassed ? '' : ' (failed critique)'}
+${opp.matchedPattern ? `- **Complaint pattern:** ${opp.matchedPattern.problemStatement}${opp.matchedPattern.matchedPhrases.length ? ` ("${opp.matchedPattern.matchedPhrases.join('", "')}")` : ''}\n` : ''}
+### Question
+
+${quote(opp.question)}
+${opp.body && opp.body !== opp.question ? `\n${quote(opp.body)}\n` : ''}
+### Score Breakdown
+
+| Feature | Weight | Multiplier | Points |
+|---------|--------|------------|--------|
+${(opp.scoreBreakdown || []).map(f => `| ${f.feature} | ${f.weight} | ${f.multiplier} | ${f.points} |`).join('\n')}
+
+### Existing Replies
+
+${formatReplies(opp.existingReplies)}
+
+### Suggested Answer
+
+${opp.suggestedAnswer || '_No answer generated._'}
+${opp.critiqueNotes?.length ? `\n<details><summary>Critique notes</summary>\n\n${opp.critiqueNotes.map(n => `- ${n}`).join('\n')}\n\n</details>\n` : ''}
+### Status
+- [ ] Reviewed
+- [ ] Posted
+- [ ] Skipped
+`;
+  });
+
+  return md;
+}
+
+/**
+ * Render the digest as a standalone HTML page
+ * @param {Object} output - Daily output written by saveOpportunities()
+ * @returns {string}
+ */
+export function renderHtml(output) {
+  const entries = output.opportunities.map((opp, index) => `
+<article>
+  <h2>${index + 1}. <a href="${escapeHtml(opp.url)}">${escapeHtml(opp.title)}</a></h2>
+  <p class="meta">${escapeHtml(opp.platform)} · ${escapeHtml(opp.type)} · ${escapeHtml(opp.author)} · relevance ${opp.relevanceScore} · quality ${opp.qualityScore ?? '-'}/100${opp.critiquePassed ? '' : ' <span class="warn">failed critique</span>'}</p>
+
+  ${opp.matchedPattern ? `<p class="meta">Complaint pattern: ${escapeHtml(opp.matchedPattern.problemStatement)}</p>` : ''}
+
+  <h3>Question</h3>
+  <blockquote>${escapeHtml(opp.question)}${opp.body && opp.body !== opp.question ? `\n\n${escapeHtml(opp.body)}` : ''}</blockquote>
+
+  <details>
+    <summary>Score breakdown</summary>
+    <table>
+      <tr><th>Feature</th><th>Weight</th><th>×</th><th>Points</th></tr>
+      ${(opp.scoreBreakdown || []).map(f => `<tr><td>${escapeHtml(f.feature)}</td><td>${f.weight}</td><td>${f.multiplier}</td><td>${f.points}</td></tr>`).join('\n      ')}
+    </table>
+  </details>
+
+  <h3>Existing Replies</h3>
+  ${formatRepliesHtml(opp.existingReplies)}
+
+  <h3>Suggested Answer</h3>
+  <div class="answer">${escapeHtml(opp.suggestedAnswer || 'No answer generated.')}</div>
+  ${opp.critiqueNotes?.length ? `<details><summary>Critique notes</summary><ul>${opp.critiqueNotes.map(n => `<li>${escapeHtml(n)}</li>`).join('')}</ul></details>` : ''}
+
+  <h3>Status</h3>
+  <label><input type="checkbox"> Reviewed</label>
+  <label><input type="checkbox"> Posted</label>
+  <label><input type="checkbox"> Skipped</label>
+</article>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Content Opportunities - ${output.date}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 720px; margin: 0 auto; padding: 16px; line-height: 1.5; color: #222; }
+  article { border-top: 1px solid #ddd; padding: 16px 0; }
+  h2 { font-size: 1.15em; margin-bottom: 4px; }
+  h3 { font-size: 0.95em; margin: 16px 0 4px; color: #555; text-transform: uppercase; }
+  .meta { color: #777; font-size: 0.85em; margin-top: 0; }
+  .warn { color: #c62828; }
+  blockquote { margin: 0; padding: 8px 12px; white-space: pre-wrap; background: #f6f6f6; border-left: 3px solid #ccc; }
+  .answer { white-space: pre-wrap; padding: 8px 12px; background: #f1f8e9; border-left: 3px solid #7cb342; }
+  table { border-collapse: collapse; font-size: 0.85em; }
+  td, th { padding: 2px 8px; text-align: left; border-bottom: 1px solid #eee; }
+  label { display: block; padding: 4px 0; }
+  details { margin-top: 8px; }
+</style>
+</head>
+<body>
+<h1>Content Opportunities - ${output.date}</h1>
+<p class="meta">${output.totalOpportunities} opportunities · ${escapeHtml(output.platforms.join(', '))} · scoring model v${output.scoringModelVersion}</p>
+${entries}
+</body>
+</html>
+`;
+}
+
+/**
+ * Existing replies summary as markdown
+ */
+function formatReplies(existingReplies) {
+  if (!existingReplies) return '_Replies not checked._';
+  if (existingReplies.count === 0) return '_No replies yet._';
+
+  const positions = existingReplies.positions.slice(0, MAX_POSITIONS).map(p => `- ${p}`).join('\n');
+  return `${existingReplies.count} replies. ${existingReplies.summary}${positions ? `\n\n${positions}` : ''}`;
+}
+
+/**
+ * Existing replies summary as HTML
+ */
+function formatRepliesHtml(existingReplies) {
+  if (!existingReplies) return '<p class="meta">Replies not checked.</p>';
+  if (existingReplies.count === 0) return '<p class="meta">No replies yet.</p>';
+
+  const positions = existingReplies.positions.slice(0, MAX_POSITIONS).map(p => `<li>${escapeHtml(p)}</li>`).join('');
+  return `<p>${existingReplies.count} replies. ${escapeHtml(existingReplies.summary)}</p>${positions ? `<ul>${positions}</ul>` : ''}`;
+}
+
+/**
+ * Prefix every line with "> "
+ */
+function quote(text) {
+  return (text || '').split('\n').map(line => `> ${line}`).join('\n');
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,142 @@
+/**
+ * Opportunity Follow-up
+ * - Records points and replies of our posted replies 24h and 7d after posting
+ * - Expires suggestions nobody acted on within OPPORTUNITY_EXPIRE_DAYS
+ *
+ * Outcomes come from each platform's source adapter (fetchOutcome()); HN only
+ * exposes points for stories, so HN comment replies record points as null and
+ * are judged by their reply count. Platforms without fetchOutcome() are skipped.
+ *
+ * Usage:
+ *   node followup.js
+ *   node followup.js --dry-run   # Report what would change, write nothing
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+import { getSources } from './sources/index.js';
+import { sleep } from './utils.js';
+
+// Parse CLI arguments
+const args = process.argv.slice(2);
+const isDryRun = args.includes('--dry-run');
+
+// Configuration
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
+const EXPIRE_DAYS = parseInt(process.env.OPPORTUNITY_EXPIRE_DAYS || '7', 10);
+
+// Outcome checkpoints: column and hours after posting
+const CHECKPOINTS = [
+  { column: 'outcome_24h', hours: 24 },
+  { column: 'outcome_7d', hours: 7 * 24 }
+];
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('❌ SUPABASE_URL and SUPABASE_SERVICE_KEY are required');
+  process.exit(1);
+}
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+/**
+ * Main execution
+ */
+async function main() {
+  console.log('📈 Opportunity Follow-up Starting...\n');
+  if (isDryRun) console.log('Mode: dry run (no writes)\n');
+
+  const totals = { recorded: 0, failed: 0, skipped: 0, expired: 0 };
+
+  for (const { column, hours } of CHECKPOINTS) {
+    const due = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+    const { data, error } = await supabase
+      .from('content_opportunities')
+      .select('id, title, platform, reply_url')
+      .eq('status', 'posted')
+      .is(column, null)
+      .lte('posted_at', due);
+
+    if (error) {
+      console.error(`❌ Could not load replies due for ${column}: ${error.message}`);
+      process.exit(1);
+    }
+
+    console.log(`⏱️  ${data.length} replies due for ${column}`);
+
+    for (const row of data) {
+      let source;
+      try {
+        [source] = getSources([row.platform]);
+      } catch (err) {
+        console.log(`  Skipping ${row.reply_url}: ${err.message}`);
+        totals.skipped++;
+        continue;
+      }
+      if (typeof source.fetchOutcome !== 'function') continue;
+
+      try {
+        const outcome = { ...await source.fetchOutcome(row.reply_url), checked_at: new Date().toISOString() };
+        console.log(`  ${row.title?.slice(0, 50)}: ${outcome.points ?? '-'} points, ${outcome.replies} replies`);
+
+        if (!isDryRun) {
+          const { error: updateError } = await supabase
+            .from('content_opportunities')
+            .update({ [column]: outcome })
+            .eq('id', row.id);
+          if (updateError) throw new Error(updateError.message);
+        }
+        totals.recorded++;
+      } catch (err) {
+        console.error(`  ✗ ${row.reply_url}: ${err.message}`);
+        totals.failed++;
+      }
+
+      await sleep(200); // Be nice to the API
+    }
+  }
+
+  // Expire stale suggestions
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - EXPIRE_DAYS);
+  const cutoffDate = cutoff.toISOString().split('T')[0];
+
+  const { data: stale, error: staleError } = await supabase
+    .from('content_opportunities')
+    .select('id')
+    .eq('status', 'suggested')
+    .lt('suggested_on', cutoffDate);
+
+  if (staleError) {
+    console.error(`❌ Could not load stale suggestions: ${staleError.message}`);
+    process.exit(1);
+  }
+
+  if (stale.length > 0 && !isDryRun) {
+    const { error: expireError } = await supabase
+      .from('content_opportunities')
+      .update({ status: 'expired' })
+      .in('id', stale.map(row => row.id));
+
+    if (expireError) {
+      console.error(`❌ Could not expire suggestions: ${expireError.message}`);
+      process.exit(1);
+    }
+  }
+  totals.expired = stale.length;
+
+  console.log('\n📊 Summary:');
+  console.log(`  Outcomes recorded: ${totals.recorded}`);
+  console.log(`  Outcome checks failed: ${totals.failed}`);
+  console.log(`  Skipped (unknown platform): ${totals.skipped}`);
+  console.log(`  Suggestions expired (older than ${EXPIRE_DAYS} days): ${totals.expired}`);
+
+  console.log('\n✨ Done!');
+}
+
+// Run
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
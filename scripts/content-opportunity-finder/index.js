@@ -1,69 +1,182 @@
 /**
  * Content Opportunity Finder
- * Uses Hacker News API to find unanswered questions and content opportunities
+ * Finds unanswered questions and content opportunities on Hacker News, Startups
+ * Stack Exchange and, when enabled, Indie Hackers (see sources/) and drafts
+ * answers in each community's tone
+ *
+ * Usage:
+ *   node index.js                              # Sources from CONTENT_SOURCES (default: all but opt-in ones)
+ *   node index.js --sources=hacker_news,stack_exchange,indie_hackers
+ *
+ * Each suggested answer is critiqued against the prompt's rules (see critique.js)
+ * and regenerated once if it fails; qualityScore and critiqueNotes are saved
+ * with the opportunity. Answers are written knowing what the thread's existing
+ * replies already cover (see thread.js); that summary is saved as existingReplies.
+ *
+ * Tool/competitor mentions in every scored post are extracted and, when
+ * SUPABASE_URL and SUPABASE_SERVICE_KEY are set, stored in tool_mentions.
+ * With Supabase, suggestions are also tracked in content_opportunities (see
+ * store.js, mark.js and followup.js) and reply outcomes adjust scoring.
+ *
+ * Each day's JSON is also rendered as a review digest (<date>.md and a
+ * standalone <date>.html, see digest.js) with checkboxes for review status.
+ *
+ * With Supabase, opportunities are also matched against the top actionable
+ * complaint_patterns (see patterns.js). A match adds the pattern_match scoring
+ * feature, is saved as matchedPattern, and steers the answer toward the
+ * pattern's key phrases.
+ *
+ * Relevance weights and the cutoff live in scoring-model.json (see scoring.js);
+ * refit them from posted/skipped history with `npm run train`.
+ *
+ * Search topics and keywords come from scripts/shared/hn-targeting.json; see
+ * scripts/shared/targeting.js for --targeting/--terms/--lookback-days/--hits-per-page.
  */
 
 import Anthropic from '@anthropic-ai/sdk';
+import { createClient } from '@supabase/supabase-js';
 import fs from 'fs/promises';
 import path from 'path';
 
+import { loadTargeting, parseTargetingArgs } from '../shared/targeting.js';
+import { extractMentions, saveMentions } from '../shared/mentions.js';
+import {
+  PERSONA,
+  BACKGROUND,
+  WORD_RANGE,
+  NO_PREAMBLE,
+  formatRequirements,
+  formatCommunityGuidelines
+} from '../shared/reply-guidelines.js';
+import { critiqueAnswer } from './critique.js';
+import { summarizeExistingReplies } from './thread.js';
+import { loadKnownStatuses, saveSuggestions, loadOutcomeWeights } from './store.js';
+import { loadScoringModel, extractFeatures, scoreFeatures } from './scoring.js';
+import { loadTopPatterns, matchPattern } from './patterns.js';
+import { getSources, defaultSources, collectOpportunities } from './sources/index.js';
+import { renderMarkdown, renderHtml } from './digest.js';
+import { sleep } from './utils.js';
+
 const anthropic = new Anthropic();
 
 // Configuration
 const OUTPUT_ROOT = process.env.OUTPUT_ROOT || process.cwd();
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
+
+// Parse CLI arguments
+const args = process.argv.slice(2);
+const sourcesArg = args.find(a => a.startsWith('--sources='));
+const SOURCE_IDS = (sourcesArg ? sourcesArg.split('=')[1] : (process.env.CONTENT_SOURCES || defaultSources().join(',')))
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+// Optional: only needed to store tool mentions and track opportunities
+const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey) : null;
+
+// Active targeting config (loaded in main)
+let targeting;
+let targetingHash;
+
+// Relevance scoring model (loaded in main)
+let scoringModel;
 
-// Topics to search for on Hacker News
-const SEARCH_TOPICS = [
-  'first sales hire startup',
-  'ICP ideal customer profile',
-  'B2B SaaS sales strategy',
-  'founder led sales',
-  'technical founder sales',
-  'startup sales process',
-  'enterprise sales startup',
-  'sales hiring early stage',
-  'GTM go to market strategy',
-  'product market fit sales',
-  'customer discovery startup',
-  'finding first customers'
-];
-
-// HN Algolia API base
-const HN_API = 'https://hn.algolia.com/api/v1';
+// Per-feature score multipliers learned from posted replies (loaded in main)
+let outcomeWeights = {};
+
+// Top actionable complaint patterns (loaded in main)
+let topPatterns = [];
 
 /**
  * Main execution
  */
 async function main() {
   console.log('📝 Content Opportunity Finder Starting...\n');
-  console.log('Platform: Hacker News\n');
 
-  // Fetch opportunities from Hacker News
-  const opportunities = await scrapeHackerNews();
+  let sources;
+  try {
+    sources = getSources(SOURCE_IDS);
+    console.log(`Platforms: ${sources.map(s => s.label).join(', ')}`);
+
+    const loaded = loadTargeting('contentOpportunityFinder', parseTargetingArgs(args));
+    targeting = loaded.config;
+    targetingHash = loaded.hash;
+    console.log(`Targeting: ${loaded.file} (${loaded.hash})`);
+
+    scoringModel = loadScoringModel();
+    console.log(`Scoring model: v${scoringModel.version} (threshold ${scoringModel.threshold})\n`);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  // Fetch opportunities from every source
+  const opportunities = [];
+  for (const source of sources) {
+    opportunities.push(...await collectOpportunities(source, targeting));
+  }
   console.log(`\n📊 Found ${opportunities.length} raw opportunities\n`);
 
+  let candidates = opportunities.filter(opp => opp.question && opp.question.length > 20);
+
+  // Skip opportunities already posted, skipped or expired; learn weights from posted replies
+  if (supabase) {
+    const known = await loadKnownStatuses(supabase, candidates.map(opp => opp.url));
+    const before = candidates.length;
+    candidates = candidates.filter(opp => (known.get(opp.url) || 'suggested') === 'suggested');
+    console.log(`📚 Skipped ${before - candidates.length} opportunities already handled`);
+
+    const outcomes = await loadOutcomeWeights(supabase);
+    outcomeWeights = outcomes.weights;
+    console.log(`⚖️  Outcome multipliers from ${outcomes.samples} posted replies (${Object.keys(outcomeWeights).length} features adjusted)`);
+
+    topPatterns = await loadTopPatterns(supabase);
+    console.log(`🧩 Matching against ${topPatterns.length} top complaint patterns\n`);
+  }
+
+  // Tool/competitor mentions from every post we score
+  const mentionsByUrl = await recordMentions(candidates);
+
   // Filter and score opportunities
-  const scoredOpportunities = opportunities
-    .filter(opp => opp.question && opp.question.length > 20)
-    .map(opp => ({
-      ...opp,
-      relevanceScore: scoreRelevance(opp)
-    }))
-    .filter(opp => opp.relevanceScore >= 40)
+  const scoredOpportunities = candidates
+    .map(opp => {
+      const matchedPattern = matchPattern(opp, topPatterns);
+      const features = extractFeatures({ ...opp, matchedPattern }, targeting);
+      const { score, breakdown } = scoreFeatures(features, scoringModel, outcomeWeights);
+      return {
+        ...opp,
+        matchedPattern,
+        relevanceScore: score,
+        scoreFeatures: features,
+        scoreBreakdown: breakdown,
+        mentions: mentionsByUrl.get(opp.url) || []
+      };
+    })
+    .filter(opp => opp.relevanceScore >= scoringModel.threshold)
     .sort((a, b) => b.relevanceScore - a.relevanceScore)
     .slice(0, 15);
 
   console.log(`🎯 ${scoredOpportunities.length} high-relevance opportunities\n`);
 
-  // Generate answers for top opportunities
+  // Generate answers for top opportunities, regenerating once when the critique fails
   for (const opp of scoredOpportunities) {
     console.log(`  → Generating answer for: ${opp.title?.slice(0, 50)}...`);
-    opp.suggestedAnswer = await generateAnswer(opp);
+    opp.existingReplies = await summarizeExistingReplies(anthropic, opp);
+    if (opp.existingReplies?.count > 0) {
+      console.log(`    ${opp.existingReplies.count} existing replies, ${opp.existingReplies.positions.length} positions covered`);
+    }
+    Object.assign(opp, await generateReviewedAnswer(opp));
     await sleep(500); // Rate limiting
   }
 
   // Save results
-  await saveOpportunities(scoredOpportunities);
+  await saveOpportunities(scoredOpportunities, sources);
+
+  if (supabase) {
+    const stored = await saveSuggestions(supabase, scoredOpportunities, new Date().toISOString().split('T')[0]);
+    console.log(`📚 Stored ${stored} suggestions (mark with: npm run mark -- --url=<url> --status=posted --reply-url=<url>)`);
+  }
 
   // Export for GitHub Action
   const envFile = process.env.GITHUB_ENV;
@@ -75,267 +188,71 @@ async function main() {
   // Summary
   console.log('\n📊 Summary:');
   console.log(`  Total opportunities: ${scoredOpportunities.length}`);
-  console.log(`  Ask HN posts: ${scoredOpportunities.filter(o => o.type === 'ask_hn').length}`);
-  console.log(`  Comments: ${scoredOpportunities.filter(o => o.type === 'comment').length}`);
-  console.log(`  Stories: ${scoredOpportunities.filter(o => o.type === 'story').length}`);
-
-  console.log('\n✨ Done!');
-}
-
-/**
- * Scrape Hacker News for content opportunities using Algolia API
- */
-async function scrapeHackerNews() {
-  console.log('🟠 Fetching from Hacker News API...');
-
-  const opportunities = [];
-  const oneWeekAgo = Math.floor(Date.now() / 1000) - (7 * 24 * 60 * 60);
-
-  // Search for relevant questions and discussions
-  for (const topic of SEARCH_TOPICS) {
-    try {
-      console.log(`  Searching: "${topic}"...`);
-
-      // Search Ask HN posts (often questions seeking advice)
-      const askUrl = `${HN_API}/search?query=${encodeURIComponent(topic)}&tags=ask_hn&numericFilters=created_at_i>${oneWeekAgo}&hitsPerPage=15`;
-      const askResponse = await fetch(askUrl);
-      const askData = await askResponse.json();
-
-      if (askData.hits) {
-        for (const hit of askData.hits) {
-          const title = hit.title || '';
-          const text = hit.story_text || '';
-
-          // Prioritize posts with questions or seeking advice
-          const isQuestion = title.includes('?') ||
-                            title.toLowerCase().includes('how') ||
-                            title.toLowerCase().includes('advice') ||
-                            title.toLowerCase().includes('help');
-
-          // Look for posts with low comment counts (unanswered opportunities)
-          const hasOpportunity = (hit.num_comments || 0) < 15;
-
-          if (isQuestion || hasOpportunity) {
-            opportunities.push({
-              platform: 'Hacker News',
-              type: 'ask_hn',
-              title: title,
-              question: title,
-              body: stripHtml(text).slice(0, 500),
-              url: `https://news.ycombinator.com/item?id=${hit.objectID}`,
-              author: hit.author || '[unknown]',
-              engagement: hit.num_comments || 0,
-              points: hit.points || 0,
-              createdAt: new Date(hit.created_at_i * 1000).toISOString()
-            });
-          }
-        }
-      }
-
-      // Search story posts
-      const storyUrl = `${HN_API}/search?query=${encodeURIComponent(topic)}&tags=story&numericFilters=created_at_i>${oneWeekAgo}&hitsPerPage=10`;
-      const storyResponse = await fetch(storyUrl);
-      const storyData = await storyResponse.json();
-
-      if (storyData.hits) {
-        for (const hit of storyData.hits) {
-          const title = hit.title || '';
-
-          // Look for Show HN or discussions about these topics
-          const isRelevant = title.toLowerCase().includes('show hn') ||
-                            title.includes('?') ||
-                            (hit.points || 0) > 20;
-
-          if (isRelevant && (hit.num_comments || 0) < 20) {
-            opportunities.push({
-              platform: 'Hacker News',
-              type: 'story',
-              title: title,
-              question: title,
-              body: stripHtml(hit.story_text || '').slice(0, 500),
-              url: `https://news.ycombinator.com/item?id=${hit.objectID}`,
-              author: hit.author || '[unknown]',
-              engagement: hit.num_comments || 0,
-              points: hit.points || 0,
-              createdAt: new Date(hit.created_at_i * 1000).toISOString()
-            });
-          }
-        }
-      }
-
-      // Search comments for questions/pain points
-      const commentUrl = `${HN_API}/search?query=${encodeURIComponent(topic)}&tags=comment&numericFilters=created_at_i>${oneWeekAgo}&hitsPerPage=10`;
-      const commentResponse = await fetch(commentUrl);
-      const commentData = await commentResponse.json();
-
-      if (commentData.hits) {
-        for (const hit of commentData.hits) {
-          const text = hit.comment_text || '';
-          const cleanText = stripHtml(text);
-
-          // Look for comments asking questions
-          const isQuestion = cleanText.includes('?') && cleanText.length > 50 && cleanText.length < 500;
-          const hasKeywords = ['anyone', 'advice', 'help', 'how do', 'struggling', 'trying to'].some(kw =>
-            cleanText.toLowerCase().includes(kw)
-          );
-
-          if (isQuestion && hasKeywords) {
-            opportunities.push({
-              platform: 'Hacker News',
-              type: 'comment',
-              title: `Comment on: ${hit.story_title || 'HN Discussion'}`,
-              question: cleanText.slice(0, 300),
-              body: cleanText,
-              url: `https://news.ycombinator.com/item?id=${hit.objectID}`,
-              parentUrl: hit.story_url || `https://news.ycombinator.com/item?id=${hit.story_id}`,
-              author: hit.author || '[unknown]',
-              engagement: 0,
-              points: hit.points || 0,
-              createdAt: new Date(hit.created_at_i * 1000).toISOString()
-            });
-          }
-        }
-      }
-
-      await sleep(200); // Be nice to the API
-    } catch (e) {
-      console.log(`    Warning: Search failed for "${topic}": ${e.message}`);
-    }
+  for (const [platform, types] of Object.entries(countByPlatform(scoredOpportunities))) {
+    console.log(`  ${platform}: ${Object.entries(types).map(([type, count]) => `${count} ${type}`).join(', ')}`);
   }
+  console.log(`  Matching a complaint pattern: ${scoredOpportunities.filter(o => o.matchedPattern).length}`);
+  console.log(`  Answers regenerated: ${scoredOpportunities.filter(o => o.answerAttempts > 1).length}`);
+  console.log(`  Answers failing critique: ${scoredOpportunities.filter(o => o.suggestedAnswer && !o.critiquePassed).length}`);
 
-  // Also fetch recent Ask HN posts generally
-  try {
-    console.log('  Fetching recent Ask HN posts...');
-    const recentUrl = `${HN_API}/search?tags=ask_hn&numericFilters=created_at_i>${oneWeekAgo}&hitsPerPage=30`;
-    const recentResponse = await fetch(recentUrl);
-    const recentData = await recentResponse.json();
-
-    if (recentData.hits) {
-      for (const hit of recentData.hits) {
-        const title = hit.title || '';
-        const text = `${title} ${hit.story_text || ''}`.toLowerCase();
-
-        // Filter for startup/sales related Ask HNs
-        const businessKeywords = ['startup', 'saas', 'b2b', 'sales', 'customer', 'founder', 'business', 'product', 'market', 'revenue', 'gtm', 'hiring', 'first hire'];
-        const isRelevant = businessKeywords.some(kw => text.includes(kw));
-
-        if (isRelevant && (hit.num_comments || 0) < 20) {
-          opportunities.push({
-            platform: 'Hacker News',
-            type: 'ask_hn',
-            title: hit.title || '',
-            question: hit.title || '',
-            body: stripHtml(hit.story_text || '').slice(0, 500),
-            url: `https://news.ycombinator.com/item?id=${hit.objectID}`,
-            author: hit.author || '[unknown]',
-            engagement: hit.num_comments || 0,
-            points: hit.points || 0,
-            createdAt: new Date(hit.created_at_i * 1000).toISOString()
-          });
-        }
-      }
-    }
-  } catch (e) {
-    console.log(`    Warning: Recent Ask HN fetch failed: ${e.message}`);
-  }
-
-  // Deduplicate by URL
-  const unique = [...new Map(opportunities.map(o => [o.url, o])).values()];
-  console.log(`  Found ${unique.length} unique opportunities`);
-
-  return unique;
+  console.log('\n✨ Done!');
 }
 
 /**
- * Strip HTML tags from text
+ * Generate an answer and critique it, regenerating once with the critique
+ * notes when it fails. The higher-scoring draft is kept.
+ * @returns {Promise<{suggestedAnswer, qualityScore, critiqueNotes, critiquePassed, answerAttempts}>}
  */
-function stripHtml(html) {
-  return html
-    .replace(/<[^>]*>/g, ' ')
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#x27;/g, "'")
-    .replace(/\s+/g, ' ')
-    .trim();
-}
+async function generateReviewedAnswer(opp) {
+  let best = null;
 
-/**
- * Score opportunity relevance
- */
-function scoreRelevance(opp) {
-  let score = 0;
-  const text = `${opp.title} ${opp.question} ${opp.body || ''}`.toLowerCase();
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const answer = await generateAnswer(opp, best?.critiqueNotes);
+    if (!answer) break;
 
-  // High-value keywords
-  const highValue = ['first sales', 'icp', 'ideal customer', 'founder', 'technical founder', 'b2b saas', 'enterprise sales', 'gtm', 'go to market'];
-  const mediumValue = ['startup', 'sales', 'strategy', 'process', 'hiring', 'advice', 'customer', 'revenue'];
+    const critique = await critiqueAnswer(anthropic, answer, opp, opp.platformId);
+    console.log(`    Critique: ${critique.qualityScore}/100${critique.passed ? '' : ' (failed)'}`);
 
-  for (const kw of highValue) {
-    if (text.includes(kw)) score += 20;
+    if (!best || critique.qualityScore >= best.qualityScore) {
+      best = { suggestedAnswer: answer, ...critique, answerAttempts: attempt };
+    }
+    if (critique.passed) break;
   }
 
-  for (const kw of mediumValue) {
-    if (text.includes(kw)) score += 10;
+  if (!best) {
+    return { suggestedAnswer: null, qualityScore: null, critiqueNotes: [], critiquePassed: false, answerAttempts: 0 };
   }
 
-  // Bonus for questions
-  if (text.includes('?')) score += 15;
-  if (text.includes('how do')) score += 10;
-  if (text.includes('advice')) score += 10;
-  if (text.includes('struggling')) score += 10;
-  if (text.includes('help')) score += 5;
-
-  // Bonus for Ask HN posts (higher visibility)
-  if (opp.type === 'ask_hn') score += 15;
-
-  // Bonus for low engagement (more opportunity to contribute)
-  if ((opp.engagement || 0) < 5) score += 20;
-  else if ((opp.engagement || 0) < 10) score += 10;
-
-  // Bonus for recent posts
-  const ageHours = (Date.now() - new Date(opp.createdAt).getTime()) / (1000 * 60 * 60);
-  if (ageHours < 24) score += 15;
-  else if (ageHours < 48) score += 10;
-
-  return score;
+  const { passed, ...rest } = best;
+  return { ...rest, critiquePassed: passed };
 }
 
 /**
  * Generate suggested answer using Claude
+ * @param {Object} opp - Opportunity
+ * @param {string[]} [critiqueNotes] - Notes from a failed critique of the previous draft
  */
-async function generateAnswer(opp) {
-  const prompt = `You are Brandon Geter, founder of Andru (Revenue Intelligence for B2B SaaS founders) with 9 years of SaaS sales experience.
+async function generateAnswer(opp, critiqueNotes = null) {
+  const prompt = `${PERSONA}
 
-Generate a helpful, genuine answer to this Hacker News question. The answer should:
-1. Be genuinely helpful (not a pitch)
-2. Share specific, actionable advice from your experience
-3. Include a framework or specific steps when relevant
-4. Match the HN community tone: direct, technical, substance-focused
-5. NOT mention Andru or any product - this is purely helpful advice
+Generate a helpful, genuine answer to this ${opp.platform} question. The answer should:
+${formatRequirements(opp.platformId)}
 
 ## QUESTION
-Platform: Hacker News
+Platform: ${opp.platform}
 Type: ${opp.type}
 Title: ${opp.title}
 ${opp.body ? `Body: ${opp.body}` : ''}
 
-## YOUR BACKGROUND
-- 9 years SaaS sales (Apttus, Sumo Logic, Graphite, OpsLevel)
-- Generated $30M+ in pipeline
-- Hired/trained 20+ sellers
-- Helped technical founders translate product to business value
+${formatExistingReplies(opp.existingReplies)}${formatPatternLanguage(opp.matchedPattern)}${BACKGROUND}
 
-## HN COMMUNITY GUIDELINES
-- Be direct, get to the point
-- Share real experience and data when possible
-- Avoid marketing speak or fluff
-- Technical audience appreciates specifics
-- It's okay to disagree respectfully if you have experience to back it up
+${formatCommunityGuidelines(opp.platformId)}
 
-Generate the answer (150-300 words). No intro like "Great question!" - just dive into substantive advice.`;
+${critiqueNotes ? `## PREVIOUS DRAFT REVIEW
+Your previous draft failed review. Fix every ✗ item:
+${critiqueNotes.join('\n')}
+
+` : ''}Generate the answer (${WORD_RANGE}). ${NO_PREAMBLE}`;
 
   try {
     const response = await anthropic.messages.create({
@@ -352,9 +269,79 @@ Generate the answer (150-300 words). No intro like "Great question!" - just dive
 }
 
 /**
- * Save opportunities to file
+ * Prompt section listing what existing replies already cover (empty when there are none)
+ */
+function formatExistingReplies(existingReplies) {
+  if (!existingReplies || existingReplies.count === 0) return '';
+
+  return `## EXISTING REPLIES (${existingReplies.count})
+${existingReplies.summary}
+
+Already covered:
+${existingReplies.positions.map(p => `- ${p}`).join('\n')}
+
+Don't repeat these points. Add a new angle, or build on one with experience the thread is missing.
+
+`;
+}
+
+/**
+ * Prompt section with the matched complaint pattern's wording (empty when there is no match)
+ */
+function formatPatternLanguage(matchedPattern) {
+  if (!matchedPattern || matchedPattern.keyPhrases.length === 0) return '';
+
+  return `## HOW FOUNDERS DESCRIBE THIS PROBLEM
+This question matches a pain we see often: ${matchedPattern.problemStatement}
+
+Founders put it in these words:
+${matchedPattern.keyPhrases.map(p => `- "${p}"`).join('\n')}
+
+Where it reads naturally, frame the problem in their words rather than sales jargon.
+
+`;
+}
+
+/**
+ * Extract tool/competitor mentions and store them when Supabase is configured
+ * @returns {Promise<Map<string, Object[]>>} Mentions keyed by post URL
+ */
+async function recordMentions(opportunities) {
+  const posts = [...new Map(opportunities.map(opp => [opp.url, {
+    url: opp.url,
+    title: opp.title,
+    text: opp.body,
+    platform: opp.platformId,
+    postDate: opp.createdAt
+  }])).values()];
+
+  console.log(`🏷️  Extracting tool mentions from ${posts.length} posts...`);
+  const mentionsByUrl = await extractMentions(anthropic, posts);
+
+  if (!supabase) {
+    console.log('  SUPABASE_URL/SUPABASE_SERVICE_KEY not set, mentions not stored\n');
+    return mentionsByUrl;
+  }
+
+  let saved = 0;
+  for (const post of posts) {
+    saved += await saveMentions(supabase, {
+      mentions: mentionsByUrl.get(post.url),
+      sourceAgent: 'content_opportunity_finder',
+      platform: post.platform,
+      postUrl: post.url,
+      postDate: post.postDate
+    });
+  }
+  console.log(`  Stored ${saved} tool mentions\n`);
+
+  return mentionsByUrl;
+}
+
+/**
+ * Save opportunities to file, with a markdown and HTML review digest alongside
  */
-async function saveOpportunities(opportunities) {
+async function saveOpportunities(opportunities, sources) {
   const outputDir = path.join(OUTPUT_ROOT, 'content-opportunities/daily');
   await fs.mkdir(outputDir, { recursive: true });
 
@@ -364,25 +351,31 @@ async function saveOpportunities(opportunities) {
 
   const output = {
     date,
-    platform: 'Hacker News',
+    platforms: sources.map(s => s.label),
+    targetingHash,
+    scoringModelVersion: scoringModel.version,
     totalOpportunities: opportunities.length,
-    byType: {
-      ask_hn: opportunities.filter(o => o.type === 'ask_hn').length,
-      story: opportunities.filter(o => o.type === 'story').length,
-      comment: opportunities.filter(o => o.type === 'comment').length
-    },
+    byType: countByPlatform(opportunities),
     opportunities
   };
 
   await fs.writeFile(filepath, JSON.stringify(output, null, 2), 'utf-8');
-  console.log(`\n💾 Saved: ${filename}`);
+  await fs.writeFile(path.join(outputDir, `${date}.md`), renderMarkdown(output), 'utf-8');
+  await fs.writeFile(path.join(outputDir, `${date}.html`), renderHtml(output), 'utf-8');
+  console.log(`\n💾 Saved: ${filename} (+ ${date}.md, ${date}.html)`);
 }
 
 /**
- * Sleep helper
+ * Opportunity counts by platform, then type
+ * @returns {Object<string, Object<string, number>>} e.g. { hacker_news: { ask_hn: 3, comment: 1 } }
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function countByPlatform(opportunities) {
+  const counts = {};
+  for (const { platformId, type } of opportunities) {
+    counts[platformId] = counts[platformId] || {};
+    counts[platformId][type] = (counts[platformId][type] || 0) + 1;
+  }
+  return counts;
 }
 
 // Run
@@ -0,0 +1,109 @@
+/**
+ * Mark Opportunity
+ * Records what we did with a suggested opportunity
+ *
+ * Usage:
+ *   node mark.js --url=<opportunity url> --status=posted --reply-url=<our reply url>
+ *   node mark.js --url=<opportunity url> --status=skipped
+ *
+ * Posted replies are polled by followup.js after 24h and 7d.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+import { OPPORTUNITY_STATUSES } from './store.js';
+import { getSources } from './sources/index.js';
+
+// Parse CLI arguments
+const args = process.argv.slice(2);
+const getArg = name => args.find(a => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+
+const url = getArg('url');
+const status = getArg('status');
+const replyUrl = getArg('reply-url');
+
+// Configuration
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('❌ SUPABASE_URL and SUPABASE_SERVICE_KEY are required');
+  process.exit(1);
+}
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+/**
+ * Main execution
+ */
+async function main() {
+  // Expired is set by followup.js, not by hand
+  const allowed = OPPORTUNITY_STATUSES.filter(s => s !== 'expired');
+
+  if (!url || !allowed.includes(status)) {
+    console.error(`❌ Usage: node mark.js --url=<opportunity url> --status=${allowed.join('|')} [--reply-url=<url>]`);
+    process.exit(1);
+  }
+
+  const { data: rows, error: loadError } = await supabase
+    .from('content_opportunities')
+    .select('id, title, platform')
+    .eq('url', url);
+
+  if (loadError) {
+    console.error(`❌ Could not load opportunity: ${loadError.message}`);
+    process.exit(1);
+  }
+
+  if (!rows || rows.length === 0) {
+    console.error(`❌ No stored opportunity with URL ${url}`);
+    process.exit(1);
+  }
+
+  const [opportunity] = rows;
+
+  // Only needed to check the reply URL, so other statuses work without it
+  let source = null;
+  try {
+    [source] = getSources([opportunity.platform]);
+  } catch (err) {
+    console.log(`  Warning: ${err.message}`);
+  }
+
+  if (status === 'posted' && !source) {
+    console.error(`❌ Can't mark as posted: no content source for platform "${opportunity.platform}"`);
+    process.exit(1);
+  }
+
+  if (status === 'posted' && !source.isReplyUrl(replyUrl || '')) {
+    console.error(`❌ --reply-url must be the ${source.label} URL of our reply`);
+    process.exit(1);
+  }
+
+  const update = status === 'posted'
+    ? { status, reply_url: replyUrl, posted_at: new Date().toISOString() }
+    : { status, reply_url: null, posted_at: null };
+
+  const { error } = await supabase
+    .from('content_opportunities')
+    .update(update)
+    .eq('id', opportunity.id);
+
+  if (error) {
+    console.error(`❌ Could not update opportunity: ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log(`✓ Marked ${status}: ${opportunity.title}`);
+  if (status === 'posted') {
+    console.log(typeof source.fetchOutcome === 'function'
+      ? '  Outcomes will be recorded by followup.js after 24h and 7d'
+      : `  Outcomes are not tracked for ${source.label}`);
+  }
+}
+
+// Run
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
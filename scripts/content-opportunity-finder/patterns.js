@@ -0,0 +1,106 @@
+/**
+ * Complaint Pattern Matching
+ * Matches opportunities against the actionable complaint_patterns written by
+ * pattern-analyzer, so questions about pains we see most often score higher
+ * (the pattern_match scoring feature) and answers can reuse the community's
+ * own wording from the pattern's key_phrases.
+ */
+
+// Actionable patterns matched against, ranked by frequency × pain
+const TOP_PATTERNS = parseInt(process.env.CONTENT_TOP_PATTERNS || '20', 10);
+
+// Share of a problem statement's words an opportunity must contain to match without a key phrase
+const MIN_STATEMENT_OVERLAP = 0.6;
+
+// Words too common to say anything about a problem statement
+const STOP_WORDS = new Set([
+  'about', 'after', 'also', 'because', 'been', 'being', 'cant', 'could', 'does', 'dont',
+  'even', 'from', 'have', 'into', 'just', 'know', 'like', 'make', 'more', 'most', 'much',
+  'need', 'only', 'other', 'over', 'really', 'same', 'some', 'such', 'than', 'that',
+  'their', 'them', 'then', 'there', 'these', 'they', 'this', 'very', 'want', 'were',
+  'what', 'when', 'where', 'which', 'while', 'with', 'without', 'would', 'your'
+]);
+
+/**
+ * Load the top actionable complaint patterns
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<Object[]>} [{id, problemStatement, category, keyPhrases, frequency, avgPain}], best first
+ */
+export async function loadTopPatterns(supabase) {
+  const { data, error } = await supabase
+    .from('complaint_patterns')
+    .select('id, problem_statement, category, key_phrases, frequency_count, avg_pain_score')
+    .eq('is_actionable', true);
+
+  if (error) {
+    console.log(`  Warning: Could not load complaint patterns: ${error.message}`);
+    return [];
+  }
+
+  return (data || [])
+    .map(row => ({
+      id: row.id,
+      problemStatement: row.problem_statement,
+      category: row.category,
+      keyPhrases: (row.key_phrases || []).filter(p => typeof p === 'string' && p.trim()),
+      frequency: row.frequency_count || 0,
+      avgPain: Number(row.avg_pain_score) || 0
+    }))
+    .sort((a, b) => b.frequency * b.avgPain - a.frequency * a.avgPain)
+    .slice(0, TOP_PATTERNS);
+}
+
+/**
+ * Best-matching pattern for an opportunity
+ * A pattern matches when the opportunity contains one of its key phrases, or
+ * most of the meaningful words of its problem statement. More key phrases
+ * wins, then statement overlap, then pattern rank.
+ * @param {Object} opp - Opportunity
+ * @param {Object[]} patterns - From loadTopPatterns()
+ * @returns {Object|null} {id, problemStatement, category, keyPhrases, matchedPhrases, statementOverlap}
+ */
+export function matchPattern(opp, patterns) {
+  const text = normalize(`${opp.title} ${opp.question} ${opp.body || ''}`);
+  const words = new Set(tokenize(text));
+
+  let best = null;
+  for (const pattern of patterns) {
+    const matchedPhrases = pattern.keyPhrases.filter(phrase => text.includes(normalize(phrase)));
+
+    const statementWords = [...new Set(tokenize(normalize(pattern.problemStatement)))];
+    const statementOverlap = statementWords.length > 0
+      ? Math.round(statementWords.filter(w => words.has(w)).length / statementWords.length * 100) / 100
+      : 0;
+
+    if (matchedPhrases.length === 0 && statementOverlap < MIN_STATEMENT_OVERLAP) continue;
+
+    if (!best
+      || matchedPhrases.length > best.matchedPhrases.length
+      || (matchedPhrases.length === best.matchedPhrases.length && statementOverlap > best.statementOverlap)) {
+      best = {
+        id: pattern.id,
+        problemStatement: pattern.problemStatement,
+        category: pattern.category,
+        keyPhrases: pattern.keyPhrases,
+        matchedPhrases,
+        statementOverlap
+      };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Lowercase, drop punctuation and collapse whitespace
+ */
+function normalize(text) {
+  return (text || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Meaningful words of normalized text
+ */
+function tokenize(text) {
+  return text.split(' ').filter(w => w.length > 3 && !STOP_WORDS.has(w));
+}
@@ -0,0 +1,129 @@
+/**
+ * Relevance Scoring
+ * An opportunity's score is the sum of its features' weights from the scoring
+ * model (scoring-model.json, fitted by train.js), each scaled by the
+ * multiplier learned from posted replies' engagement (store.js).
+ *
+ * Keyword features are recorded per keyword ("high:icp") so outcomes can tell
+ * keywords apart, but share one model weight per keyword group.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+
+export const MODEL_PATH = path.join(__dirname, 'scoring-model.json');
+
+// Model weight shared by every keyword in a scoringKeywords group
+const KEYWORD_GROUPS = {
+  high: 'high_value_keyword',
+  medium: 'medium_value_keyword'
+};
+
+/**
+ * Load and validate a scoring model
+ * @param {string} [file]
+ * @returns {{version: number, trainedAt: string|null, trainedOn: Object|null, threshold: number, weights: Object<string, number>}}
+ * @throws {Error} When the file is missing or malformed
+ */
+export function loadScoringModel(file = MODEL_PATH) {
+  const model = JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+  if (!Number.isInteger(model.version) || model.version < 1) {
+    throw new Error(`${file}: "version" must be a positive integer`);
+  }
+  if (typeof model.threshold !== 'number') {
+    throw new Error(`${file}: "threshold" must be a number`);
+  }
+  if (!model.weights || Object.values(model.weights).some(w => typeof w !== 'number')) {
+    throw new Error(`${file}: "weights" must map feature names to numbers`);
+  }
+
+  return model;
+}
+
+/**
+ * Write a scoring model
+ */
+export function saveScoringModel(model, file = MODEL_PATH) {
+  fs.writeFileSync(file, JSON.stringify(model, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Scoring features present in an opportunity
+ * @param {Object} opp - Opportunity, with matchedPattern when one was found
+ * @param {Object} targeting - contentOpportunityFinder targeting config
+ * @returns {string[]} Feature names
+ */
+export function extractFeatures(opp, targeting) {
+  const features = [];
+  const text = `${opp.title} ${opp.question} ${opp.body || ''}`.toLowerCase();
+
+  // Keywords from targeting
+  const { highValue = [], mediumValue = [] } = targeting.scoringKeywords || {};
+
+  for (const kw of highValue) {
+    if (text.includes(kw.toLowerCase())) features.push(`high:${kw.toLowerCase()}`);
+  }
+
+  for (const kw of mediumValue) {
+    if (text.includes(kw.toLowerCase())) features.push(`medium:${kw.toLowerCase()}`);
+  }
+
+  // Question signals
+  if (text.includes('?')) features.push('question');
+  if (text.includes('how do')) features.push('how_do');
+  if (text.includes('advice')) features.push('advice');
+  if (text.includes('struggling')) features.push('struggling');
+  if (text.includes('help')) features.push('help');
+
+  // Ask HN posts (higher visibility)
+  if (opp.type === 'ask_hn') features.push('ask_hn');
+
+  // Low engagement (more opportunity to contribute)
+  if ((opp.engagement || 0) < 5) features.push('engagement_lt_5');
+  else if ((opp.engagement || 0) < 10) features.push('engagement_lt_10');
+
+  // Recent posts
+  const ageHours = (Date.now() - new Date(opp.createdAt).getTime()) / (1000 * 60 * 60);
+  if (ageHours < 24) features.push('age_lt_24h');
+  else if (ageHours < 48) features.push('age_lt_48h');
+
+  // Matches one of the top complaint patterns (patterns.js)
+  if (opp.matchedPattern) features.push('pattern_match');
+
+  return features;
+}
+
+/**
+ * Model weight a feature uses ("high:icp" → "high_value_keyword")
+ */
+export function weightKey(feature) {
+  const [group] = feature.split(':');
+  return feature.includes(':') ? (KEYWORD_GROUPS[group] || feature) : feature;
+}
+
+/**
+ * Score features with a model
+ * @param {string[]} features - From extractFeatures()
+ * @param {Object} model - From loadScoringModel()
+ * @param {Object<string, number>} [outcomeWeights] - Per-feature multipliers (store.js)
+ * @returns {{score: number, breakdown: Array<{feature, weight, multiplier, points}>}}
+ */
+export function scoreFeatures(features, model, outcomeWeights = {}) {
+  const breakdown = features.map(feature => {
+    const weight = model.weights[weightKey(feature)] ?? 0;
+    const multiplier = outcomeWeights[feature] ?? 1;
+    return {
+      feature,
+      weight,
+      multiplier,
+      points: Math.round(weight * multiplier * 10) / 10
+    };
+  });
+
+  const score = Math.round(breakdown.reduce((sum, { points }) => sum + points, 0));
+  return { score, breakdown };
+}
@@ -0,0 +1,237 @@
+/**
+ * Hacker News source adapter
+ * Uses the HN Algolia API to find Ask HN posts, stories and comments
+ */
+
+import { stripHtml, sleep } from '../utils.js';
+
+// HN Algolia API base
+const HN_API = 'https://hn.algolia.com/api/v1';
+
+export const hackerNewsSource = {
+  id: 'hacker_news',
+  label: 'Hacker News',
+
+  /**
+   * Find opportunities for the targeting config's search terms
+   * @param {Object} targeting - contentOpportunityFinder targeting config
+   * @returns {Promise<Object[]>} Opportunities
+   */
+  async fetch(targeting) {
+    console.log('🟠 Fetching from Hacker News API...');
+
+    const opportunities = [];
+    const { hitsPerPage } = targeting;
+    const oneWeekAgo = Math.floor(Date.now() / 1000) - (targeting.lookbackDays * 24 * 60 * 60);
+
+    // Search for relevant questions and discussions
+    for (const { term: topic } of targeting.searchTerms) {
+      try {
+        console.log(`  Searching: "${topic}"...`);
+
+        // Search Ask HN posts (often questions seeking advice)
+        const askUrl = `${HN_API}/search?query=${encodeURIComponent(topic)}&tags=ask_hn&numericFilters=created_at_i>${oneWeekAgo}&hitsPerPage=${hitsPerPage.askHn}`;
+        const askResponse = await fetch(askUrl);
+        const askData = await askResponse.json();
+
+        if (askData.hits) {
+          for (const hit of askData.hits) {
+            const title = hit.title || '';
+            const text = hit.story_text || '';
+
+            // Prioritize posts with questions or seeking advice
+            const isQuestion = title.includes('?') ||
+                              title.toLowerCase().includes('how') ||
+                              title.toLowerCase().includes('advice') ||
+                              title.toLowerCase().includes('help');
+
+            // Look for posts with low comment counts (unanswered opportunities)
+            const hasOpportunity = (hit.num_comments || 0) < 15;
+
+            if (isQuestion || hasOpportunity) {
+              opportunities.push({
+                type: 'ask_hn',
+                title: title,
+                question: title,
+                body: stripHtml(text).slice(0, 500),
+                url: `https://news.ycombinator.com/item?id=${hit.objectID}`,
+                author: hit.author || '[unknown]',
+                engagement: hit.num_comments || 0,
+                points: hit.points || 0,
+                createdAt: new Date(hit.created_at_i * 1000).toISOString()
+              });
+            }
+          }
+        }
+
+        // Search story posts
+        const storyUrl = `${HN_API}/search?query=${encodeURIComponent(topic)}&tags=story&numericFilters=created_at_i>${oneWeekAgo}&hitsPerPage=${hitsPerPage.story}`;
+        const storyResponse = await fetch(storyUrl);
+        const storyData = await storyResponse.json();
+
+        if (storyData.hits) {
+          for (const hit of storyData.hits) {
+            const title = hit.title || '';
+
+            // Look for Show HN or discussions about these topics
+            const isRelevant = title.toLowerCase().includes('show hn') ||
+                              title.includes('?') ||
+                              (hit.points || 0) > 20;
+
+            if (isRelevant && (hit.num_comments || 0) < 20) {
+              opportunities.push({
+                type: 'story',
+                title: title,
+                question: title,
+                body: stripHtml(hit.story_text || '').slice(0, 500),
+                url: `https://news.ycombinator.com/item?id=${hit.objectID}`,
+                author: hit.author || '[unknown]',
+                engagement: hit.num_comments || 0,
+                points: hit.points || 0,
+                createdAt: new Date(hit.created_at_i * 1000).toISOString()
+              });
+            }
+          }
+        }
+
+        // Search comments for questions/pain points
+        const commentUrl = `${HN_API}/search?query=${encodeURIComponent(topic)}&tags=comment&numericFilters=created_at_i>${oneWeekAgo}&hitsPerPage=${hitsPerPage.comment}`;
+        const commentResponse = await fetch(commentUrl);
+        const commentData = await commentResponse.json();
+
+        if (commentData.hits) {
+          for (const hit of commentData.hits) {
+            const text = hit.comment_text || '';
+            const cleanText = stripHtml(text);
+
+            // Look for comments asking questions
+            const isQuestion = cleanText.includes('?') && cleanText.length > 50 && cleanText.length < 500;
+            const hasKeywords = targeting.questionKeywords.some(kw =>
+              cleanText.toLowerCase().includes(kw.toLowerCase())
+            );
+
+            if (isQuestion && hasKeywords) {
+              opportunities.push({
+                type: 'comment',
+                title: `Comment on: ${hit.story_title || 'HN Discussion'}`,
+                question: cleanText.slice(0, 300),
+                body: cleanText,
+                url: `https://news.ycombinator.com/item?id=${hit.objectID}`,
+                parentUrl: hit.story_url || `https://news.ycombinator.com/item?id=${hit.story_id}`,
+                author: hit.author || '[unknown]',
+                engagement: 0,
+                points: hit.points || 0,
+                createdAt: new Date(hit.created_at_i * 1000).toISOString()
+              });
+            }
+          }
+        }
+
+        await sleep(200); // Be nice to the API
+      } catch (e) {
+        console.log(`    Warning: Search failed for "${topic}": ${e.message}`);
+      }
+    }
+
+    // Also fetch recent Ask HN posts generally
+    try {
+      console.log('  Fetching recent Ask HN posts...');
+      const recentUrl = `${HN_API}/search?tags=ask_hn&numericFilters=created_at_i>${oneWeekAgo}&hitsPerPage=${hitsPerPage.recentAskHn}`;
+      const recentResponse = await fetch(recentUrl);
+      const recentData = await recentResponse.json();
+
+      if (recentData.hits) {
+        for (const hit of recentData.hits) {
+          const title = hit.title || '';
+          const text = `${title} ${hit.story_text || ''}`.toLowerCase();
+
+          // Filter for startup/sales related Ask HNs
+          const isRelevant = targeting.businessKeywords.some(kw => text.includes(kw.toLowerCase()));
+
+          if (isRelevant && (hit.num_comments || 0) < 20) {
+            opportunities.push({
+              type: 'ask_hn',
+              title: hit.title || '',
+              question: hit.title || '',
+              body: stripHtml(hit.story_text || '').slice(0, 500),
+              url: `https://news.ycombinator.com/item?id=${hit.objectID}`,
+              author: hit.author || '[unknown]',
+              engagement: hit.num_comments || 0,
+              points: hit.points || 0,
+              createdAt: new Date(hit.created_at_i * 1000).toISOString()
+            });
+          }
+        }
+      }
+    } catch (e) {
+      console.log(`    Warning: Recent Ask HN fetch failed: ${e.message}`);
+    }
+
+    return opportunities;
+  },
+
+  /**
+   * All comments under an opportunity, depth-first in thread order
+   * @returns {Promise<Array<{author, text, depth}>>}
+   */
+  async fetchReplies(opp) {
+    const item = await fetchItem(new URL(opp.url).searchParams.get('id'));
+
+    const comments = [];
+    const walk = (children, depth) => {
+      for (const child of children || []) {
+        const text = stripHtml(child.text || '');
+        if (text) {
+          comments.push({ author: child.author || '[deleted]', text, depth });
+        }
+        walk(child.children, depth + 1);
+      }
+    };
+    walk(item.children, 0);
+
+    return comments;
+  },
+
+  /**
+   * Whether a URL is one of our replies on this platform
+   */
+  isReplyUrl(url) {
+    return hnItemId(url) !== null;
+  },
+
+  /**
+   * Current points and direct reply count of our reply
+   * The Algolia API only exposes points for stories, so comment replies report null.
+   * @returns {Promise<{points: number|null, replies: number}>}
+   */
+  async fetchOutcome(replyUrl) {
+    const item = await fetchItem(hnItemId(replyUrl));
+    return {
+      points: item.points ?? null,
+      replies: (item.children || []).length
+    };
+  }
+};
+
+/**
+ * Fetch an item with its comment tree
+ */
+async function fetchItem(itemId) {
+  const response = await fetch(`${HN_API}/items/${itemId}`);
+  if (!response.ok) {
+    throw new Error(`HN item fetch failed: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Item id from a Hacker News item URL, or null
+ */
+function hnItemId(itemUrl) {
+  try {
+    const parsed = new URL(itemUrl);
+    return parsed.hostname === 'news.ycombinator.com' ? parsed.searchParams.get('id') : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Content Source Registry
+ *
+ * Every source adapter is a plain object with:
+ *   id                 - Registry key used by CONTENT_SOURCES / --sources=; also the
+ *                        platform key for reply guidelines, tool_mentions and
+ *                        content_opportunities
+ *   label              - Human-readable platform name used in logs, prompts and output
+ *   fetch(targeting)   - Returns opportunities: {type, title, question, body, url,
+ *                        author, engagement, points, createdAt}
+ *   isReplyUrl(url)    - Whether a URL can be one of our replies on the platform
+ *   fetchReplies(opp)  - Optional. Existing replies as [{author, text, depth}]
+ *   fetchOutcome(url)  - Optional. {points, replies} of one of our replies
+ *   optIn              - Optional. true leaves the source out of the default run;
+ *                        it only runs when named in CONTENT_SOURCES / --sources=
+ */
+
+import { hackerNewsSource } from './hacker-news.js';
+import { stackExchangeSource } from './stack-exchange.js';
+import { indieHackersSource } from './indie-hackers.js';
+
+const registry = new Map();
+
+/**
+ * Register a source adapter
+ * @param {Object} source - Source adapter
+ */
+export function registerSource(source) {
+  for (const key of ['id', 'label']) {
+    if (!source[key]) throw new Error(`Source adapter is missing "${key}"`);
+  }
+  for (const key of ['fetch', 'isReplyUrl']) {
+    if (typeof source[key] !== 'function') {
+      throw new Error(`Source "${source.id}" must implement ${key}()`);
+    }
+  }
+
+  registry.set(source.id, source);
+}
+
+/**
+ * List registered source ids
+ * @returns {string[]}
+ */
+export function listSources() {
+  return [...registry.keys()];
+}
+
+/**
+ * Source ids run when none are configured: every source that isn't opt-in
+ * @returns {string[]}
+ */
+export function defaultSources() {
+  return [...registry.values()].filter(source => !source.optIn).map(source => source.id);
+}
+
+/**
+ * Resolve source ids to adapters
+ * @param {string[]} ids - Source ids, in run order
+ * @returns {Object[]} Source adapters
+ */
+export function getSources(ids) {
+  return ids.map(id => {
+    const source = registry.get(id);
+    if (!source) {
+      throw new Error(`Unknown content source "${id}" (available: ${listSources().join(', ')})`);
+    }
+    return source;
+  });
+}
+
+/**
+ * Fetch opportunities from a source, tagged with its platform and deduplicated by URL
+ * A failing source is logged and contributes nothing, so one outage doesn't stop the run.
+ * @param {Object} source - Source adapter
+ * @param {Object} targeting - contentOpportunityFinder targeting config
+ * @returns {Promise<Object[]>} Opportunities
+ */
+export async function collectOpportunities(source, targeting) {
+  let opportunities;
+  try {
+    opportunities = await source.fetch(targeting);
+  } catch (error) {
+    console.log(`  Warning: ${source.label} fetch failed: ${error.message}`);
+    return [];
+  }
+
+  const tagged = opportunities.map(opp => ({ platform: source.label, platformId: source.id, ...opp }));
+  const unique = [...new Map(tagged.map(o => [o.url, o])).values()];
+  console.log(`  Found ${unique.length} unique opportunities`);
+
+  return unique;
+}
+
+registerSource(hackerNewsSource);
+registerSource(stackExchangeSource);
+registerSource(indieHackersSource);
@@ -0,0 +1,134 @@
+/**
+ * Indie Hackers source adapter
+ * Indie Hackers has no public API, so this uses Playwright to read the site
+ * search for each term, then opens each post for its body, date and comment count.
+ *
+ * Existing replies aren't read and posted replies can't be followed up, so
+ * Indie Hackers answers are written without a thread summary and their
+ * outcomes aren't recorded.
+ *
+ * Opt-in: the selectors depend on the site's markup and the run needs a
+ * Playwright browser, so it only runs when listed in CONTENT_SOURCES.
+ */
+
+import { chromium } from 'playwright';
+
+import { sleep } from '../utils.js';
+
+const IH_BASE = 'https://www.indiehackers.com';
+
+// Posts with this many comments or more are considered covered
+const MAX_COMMENTS = 20;
+
+export const indieHackersSource = {
+  id: 'indie_hackers',
+  label: 'Indie Hackers',
+  optIn: true,
+
+  /**
+   * Find recent posts for the targeting config's search terms
+   * @param {Object} targeting - contentOpportunityFinder targeting config
+   * @returns {Promise<Object[]>} Opportunities
+   */
+  async fetch(targeting) {
+    console.log('🟢 Fetching from Indie Hackers...');
+
+    const opportunities = [];
+    const perTerm = targeting.hitsPerPage.indieHackers || 10;
+    const cutoff = Date.now() - targeting.lookbackDays * 24 * 60 * 60 * 1000;
+
+    const browser = await chromium.launch({ headless: true });
+    const page = await browser.newPage();
+
+    try {
+      // Collect post links from search results
+      const postUrls = new Set();
+      for (const { term } of targeting.searchTerms) {
+        try {
+          console.log(`  Searching: "${term}"...`);
+          await page.goto(`${IH_BASE}/search?q=${encodeURIComponent(term)}`, {
+            waitUntil: 'domcontentloaded',
+            timeout: 30000
+          });
+          await page.waitForSelector('a[href*="/post/"]', { timeout: 10000 }).catch(() => null);
+
+          const links = await page.$$eval('a[href*="/post/"]', els => els.map(el => el.href));
+          for (const link of [...new Set(links.map(l => l.split(/[?#]/)[0]))].slice(0, perTerm)) {
+            postUrls.add(link);
+          }
+        } catch (e) {
+          console.log(`    Warning: Search failed for "${term}": ${e.message}`);
+        }
+        await sleep(1000); // Be nice to the site
+      }
+
+      // Read each post
+      for (const url of postUrls) {
+        try {
+          await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+          await page.waitForSelector('h1', { timeout: 10000 }).catch(() => null);
+
+          const post = await page.evaluate(() => {
+            const commentSelector = '[class*="comment"] [class*="comment__content"], [id^="comment-"]';
+            const title = document.querySelector('h1')?.textContent?.trim() || '';
+            const time = document.querySelector('time[datetime]')?.getAttribute('datetime') || null;
+            const author = document.querySelector('a[href*="/u/"]')?.textContent?.trim() || null;
+            const comments = document.querySelectorAll(commentSelector).length;
+
+            // The post element also holds the thread, so strip replies before reading the body
+            const root = document.querySelector('article') || document.querySelector('main');
+            const postOnly = root?.cloneNode(true);
+            postOnly?.querySelectorAll(`${commentSelector}, [class*="comment"]`).forEach(el => el.remove());
+            const body = postOnly?.textContent || '';
+
+            return { title, body, time, author, comments };
+          });
+
+          // Without a date the lookback window can't be applied, so the post is dropped
+          const createdAt = post.time ? new Date(post.time) : null;
+          if (!createdAt || Number.isNaN(createdAt.getTime())) {
+            console.log(`    Skipping ${url}: no post date found`);
+            continue;
+          }
+          if (!post.title || createdAt.getTime() < cutoff || post.comments >= MAX_COMMENTS) continue;
+
+          const body = post.body.replace(post.title, '').replace(/\s+/g, ' ').trim();
+          opportunities.push({
+            type: 'post',
+            title: post.title,
+            question: post.title,
+            body: body.slice(0, 500),
+            url,
+            author: post.author || '[unknown]',
+            engagement: post.comments,
+            points: 0,
+            createdAt: createdAt.toISOString()
+          });
+        } catch (e) {
+          console.log(`    Warning: Could not read ${url}: ${e.message}`);
+        }
+        await sleep(1000); // Be nice to the site
+      }
+    } finally {
+      await browser.close();
+    }
+
+    return opportunities;
+  },
+
+  /**
+   * Whether a URL is one of our replies on this platform
+   * Replies are comments, so the URL must point at one (a commentId parameter
+   * or a #comment- anchor); the post URL itself doesn't count.
+   */
+  isReplyUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.hostname.endsWith('indiehackers.com')
+        && parsed.pathname.startsWith('/post/')
+        && (parsed.searchParams.has('commentId') || /^#comment-.+/.test(parsed.hash));
+    } catch {
+      return false;
+    }
+  }
+};
@@ -0,0 +1,156 @@
+/**
+ * Stack Exchange source adapter
+ * Uses the Stack Exchange API to find recent questions on Startups Stack
+ * Exchange (STACK_EXCHANGE_SITE) that have no accepted answer yet
+ *
+ * Anonymous requests share a 300/day quota per IP; set STACK_EXCHANGE_KEY
+ * to raise it.
+ */
+
+import { stripHtml, sleep } from '../utils.js';
+
+// Stack Exchange API base
+const SE_API = 'https://api.stackexchange.com/2.3';
+
+const SITE = process.env.STACK_EXCHANGE_SITE || 'startups';
+const API_KEY = process.env.STACK_EXCHANGE_KEY;
+
+// Questions with this many answers or more are considered covered
+const MAX_ANSWERS = 3;
+
+export const stackExchangeSource = {
+  id: 'stack_exchange',
+  label: 'Startups Stack Exchange',
+
+  /**
+   * Find unanswered or thinly answered questions for the targeting config's search terms
+   * @param {Object} targeting - contentOpportunityFinder targeting config
+   * @returns {Promise<Object[]>} Opportunities
+   */
+  async fetch(targeting) {
+    console.log(`🔵 Fetching from Stack Exchange API (${SITE})...`);
+
+    const opportunities = [];
+    const since = Math.floor(Date.now() / 1000) - (targeting.lookbackDays * 24 * 60 * 60);
+
+    for (const { term } of targeting.searchTerms) {
+      try {
+        console.log(`  Searching: "${term}"...`);
+
+        const data = await callApi('/search/advanced', {
+          q: term,
+          fromdate: since,
+          sort: 'creation',
+          order: 'desc',
+          pagesize: targeting.hitsPerPage.stackExchange || 10,
+          filter: 'withbody'
+        });
+
+        for (const question of data.items || []) {
+          if (question.accepted_answer_id || question.answer_count >= MAX_ANSWERS) continue;
+
+          // Titles come back HTML-encoded
+          const title = stripHtml(question.title || '');
+          const body = stripHtml(question.body || '');
+          opportunities.push({
+            type: 'question',
+            title,
+            question: title,
+            body: body.slice(0, 500),
+            url: question.link,
+            author: question.owner?.display_name || '[unknown]',
+            engagement: question.answer_count || 0,
+            points: question.score || 0,
+            tags: question.tags || [],
+            createdAt: new Date(question.creation_date * 1000).toISOString()
+          });
+        }
+
+        // The API asks clients to back off when it says so
+        await sleep(data.backoff ? data.backoff * 1000 : 200);
+      } catch (e) {
+        console.log(`    Warning: Search failed for "${term}": ${e.message}`);
+      }
+    }
+
+    return opportunities;
+  },
+
+  /**
+   * Answers to a question, highest voted first
+   * @returns {Promise<Array<{author, text, depth}>>}
+   */
+  async fetchReplies(opp) {
+    const questionId = opp.url.match(/\/questions\/(\d+)/)?.[1];
+    if (!questionId) return [];
+
+    const data = await callApi(`/questions/${questionId}/answers`, {
+      sort: 'votes',
+      order: 'desc',
+      filter: 'withbody'
+    });
+
+    return (data.items || []).map(answer => ({
+      author: answer.owner?.display_name || '[deleted]',
+      text: stripHtml(answer.body || ''),
+      depth: 0
+    }));
+  },
+
+  /**
+   * Whether a URL is one of our answers on this site
+   * (share links: /a/<id>; full links: /questions/<id>/<slug>/<answer id>#<answer id>)
+   */
+  isReplyUrl(url) {
+    return answerId(url) !== null;
+  },
+
+  /**
+   * Current score and comment count of our answer
+   * @returns {Promise<{points: number, replies: number}>}
+   */
+  async fetchOutcome(replyUrl) {
+    const id = answerId(replyUrl);
+    const data = await callApi(`/answers/${id}`, {});
+    const answer = data.items?.[0];
+    if (!answer) {
+      throw new Error('Answer not found');
+    }
+
+    // comment_count is not in the default filter, so count the comments themselves
+    const comments = await callApi(`/answers/${id}/comments`, { pagesize: 100 });
+    return {
+      points: answer.score || 0,
+      replies: (comments.items || []).length
+    };
+  }
+};
+
+/**
+ * Call the Stack Exchange API for the configured site
+ */
+async function callApi(endpoint, params) {
+  const query = new URLSearchParams({ ...params, site: SITE });
+  if (API_KEY) query.set('key', API_KEY);
+
+  const response = await fetch(`${SE_API}${endpoint}?${query}`);
+  if (!response.ok) {
+    throw new Error(`Stack Exchange API failed: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Answer id from a Stack Exchange answer URL, or null
+ */
+function answerId(url) {
+  try {
+    const parsed = new URL(url);
+    if (!parsed.hostname.endsWith('stackexchange.com')) return null;
+    return parsed.pathname.match(/^\/a\/(\d+)/)?.[1] ||
+      parsed.pathname.match(/^\/questions\/\d+\/[^/]+\/(\d+)/)?.[1] ||
+      null;
+  } catch {
+    return null;
+  }
+}
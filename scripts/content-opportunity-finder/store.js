@@ -0,0 +1,144 @@
+/**
+ * Opportunity Store
+ * Lifecycle of suggested opportunities in the content_opportunities table:
+ *
+ *   suggested → posted   (mark.js, with the URL of our reply)
+ *             → skipped  (mark.js)
+ *             → expired  (followup.js, after OPPORTUNITY_EXPIRE_DAYS)
+ *
+ * followup.js records each posted reply's points and replies after 24h and 7d;
+ * loadOutcomeWeights() turns those outcomes into per-feature multipliers for
+ * relevance scoring (scoring.js). Posted vs skipped labels train the scoring
+ * model itself (train.js).
+ */
+
+export const OPPORTUNITY_STATUSES = ['suggested', 'posted', 'skipped', 'expired'];
+
+// Posted replies a feature needs before its weight moves away from 1
+const MIN_OUTCOME_SAMPLES = 5;
+
+// Bounds on a feature's multiplier, so a few lucky replies can't dominate scoring
+const MIN_WEIGHT = 0.5;
+const MAX_WEIGHT = 1.5;
+
+/**
+ * Statuses of opportunities already in the store
+ * @param {Object} supabase - Supabase client
+ * @param {string[]} urls - Opportunity URLs
+ * @returns {Promise<Map<string, string>>} Status keyed by URL
+ */
+export async function loadKnownStatuses(supabase, urls) {
+  const statuses = new Map();
+  if (urls.length === 0) return statuses;
+
+  const { data, error } = await supabase
+    .from('content_opportunities')
+    .select('url, status')
+    .in('url', urls);
+
+  if (error) {
+    console.log(`  Warning: Could not load stored opportunities: ${error.message}`);
+    return statuses;
+  }
+
+  for (const row of data || []) {
+    statuses.set(row.url, row.status);
+  }
+  return statuses;
+}
+
+/**
+ * Store today's suggestions
+ * Opportunities already in the store keep their status and first suggestion.
+ * @param {Object} supabase - Supabase client
+ * @param {Object[]} opportunities - Scored opportunities with answers
+ * @param {string} date - Suggestion date (YYYY-MM-DD)
+ * @returns {Promise<number>} Rows written
+ */
+export async function saveSuggestions(supabase, opportunities, date) {
+  if (opportunities.length === 0) return 0;
+
+  const rows = opportunities.map(opp => ({
+    url: opp.url,
+    platform: opp.platformId,
+    type: opp.type,
+    title: opp.title,
+    question: opp.question,
+    author: opp.author,
+    relevance_score: opp.relevanceScore,
+    score_features: opp.scoreFeatures,
+    suggested_answer: opp.suggestedAnswer,
+    quality_score: opp.qualityScore,
+    matched_pattern_id: opp.matchedPattern?.id || null,
+    status: 'suggested',
+    suggested_on: date,
+    post_created_at: opp.createdAt
+  }));
+
+  const { error } = await supabase
+    .from('content_opportunities')
+    .upsert(rows, {
+      onConflict: 'url',
+      ignoreDuplicates: true
+    });
+
+  if (error) {
+    console.log(`  Warning: Could not store opportunities: ${error.message}`);
+    return 0;
+  }
+
+  return rows.length;
+}
+
+/**
+ * Per-feature score multipliers learned from posted replies
+ * A feature's multiplier is the average engagement of replies to opportunities
+ * with that feature, relative to the average over all posted replies.
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<{weights: Object<string, number>, samples: number}>}
+ */
+export async function loadOutcomeWeights(supabase) {
+  const { data, error } = await supabase
+    .from('content_opportunities')
+    .select('score_features, outcome_24h, outcome_7d')
+    .eq('status', 'posted')
+    .not('outcome_24h', 'is', null);
+
+  if (error) {
+    console.log(`  Warning: Could not load reply outcomes: ${error.message}`);
+    return { weights: {}, samples: 0 };
+  }
+
+  const rows = data || [];
+  const overall = average(rows.map(engagement));
+  if (rows.length === 0 || overall === 0) return { weights: {}, samples: rows.length };
+
+  const byFeature = {};
+  for (const row of rows) {
+    for (const feature of row.score_features || []) {
+      (byFeature[feature] = byFeature[feature] || []).push(engagement(row));
+    }
+  }
+
+  const weights = {};
+  for (const [feature, values] of Object.entries(byFeature)) {
+    if (values.length < MIN_OUTCOME_SAMPLES) continue;
+    const ratio = average(values) / overall;
+    weights[feature] = Math.round(Math.min(MAX_WEIGHT, Math.max(MIN_WEIGHT, ratio)) * 100) / 100;
+  }
+
+  return { weights, samples: rows.length };
+}
+
+/**
+ * Engagement of a posted reply: its latest points (when HN exposes them) plus replies
+ */
+export function engagement(row) {
+  const outcome = row.outcome_7d || row.outcome_24h;
+  if (!outcome) return 0;
+  return (outcome.points || 0) + (outcome.replies || 0);
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
@@ -0,0 +1,81 @@
+/**
+ * Existing Replies
+ * Fetches the replies under an opportunity (via its source's fetchReplies())
+ * and summarizes the positions already taken, so the suggested answer can add
+ * a new angle instead of repeating the top reply.
+ */
+
+import { getSources } from './sources/index.js';
+
+// Comments sent to Claude, in thread order (top replies first)
+const MAX_COMMENTS = 40;
+
+// Characters of each comment sent to Claude
+const MAX_COMMENT_LENGTH = 600;
+
+/**
+ * Fetch and summarize the replies under an opportunity
+ * @param {Object} anthropic - Anthropic client
+ * @param {Object} opp - Opportunity
+ * @returns {Promise<{count: number, summary: string, positions: string[]}|null>} null when the replies could not be read
+ */
+export async function summarizeExistingReplies(anthropic, opp) {
+  const [source] = getSources([opp.platformId]);
+  if (typeof source.fetchReplies !== 'function') return null;
+
+  let comments;
+  try {
+    comments = await source.fetchReplies(opp);
+  } catch (error) {
+    console.log(`    Warning: Could not fetch replies: ${error.message}`);
+    return null;
+  }
+
+  if (comments.length === 0) {
+    return { count: 0, summary: 'No replies yet.', positions: [] };
+  }
+
+  const commentList = comments
+    .slice(0, MAX_COMMENTS)
+    .map(c => `${'  '.repeat(Math.min(c.depth, 4))}- ${c.author}: ${c.text.slice(0, MAX_COMMENT_LENGTH)}`)
+    .join('\n');
+
+  const prompt = `Summarize the replies already posted under this ${opp.platform} ${opp.type === 'comment' ? 'comment' : 'post'} so someone can add a reply that covers new ground.
+
+## QUESTION
+Title: ${opp.title}
+${opp.body ? `Body: ${opp.body}` : ''}
+
+## REPLIES (indented = nested)
+${commentList}
+
+## OUTPUT FORMAT
+Respond in JSON only:
+{
+  "summary": "2-3 sentences on where the discussion stands",
+  "positions": ["Each distinct piece of advice or position already covered, one short line each"]
+}`;
+
+  try {
+    const response = await anthropic.messages.create({
+      model: 'claude-sonnet-4-20250514',
+      max_tokens: 500,
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    const jsonMatch = response.content[0].text.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) return null;
+
+    const parsed = JSON.parse(jsonMatch[0]);
+    return {
+      count: comments.length,
+      summary: String(parsed.summary || '').trim(),
+      positions: (Array.isArray(parsed.positions) ? parsed.positions : [])
+        .filter(p => typeof p === 'string' && p.trim())
+        .map(p => p.trim())
+    };
+  } catch (error) {
+    console.error('    Error summarizing replies:', error.message);
+    return null;
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ * Train Scoring Model
+ * Fits scoring-model.json weights to labeled history: opportunities we marked
+ * posted (positive) or skipped (negative) in content_opportunities.
+ *
+ * A logistic regression over the model's features, rescaled so that
+ * score >= threshold exactly when the predicted chance of posting is >= 50%.
+ * Labeled opportunities all passed the previous model's threshold, so the fit
+ * learns which signals separate good opportunities from merely relevant ones.
+ * It knows nothing about opportunities below that threshold, so a model whose
+ * threshold is 0 or below the lowest labeled score (rescored with the trained
+ * weights) is not written.
+ *
+ * Usage:
+ *   node train.js                   # Fit and write scoring-model.json (version + 1)
+ *   node train.js --dry-run         # Fit and print, write nothing
+ *   node train.js --min-samples=50  # Labeled opportunities required (default: 20)
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+import { MODEL_PATH, loadScoringModel, saveScoringModel, weightKey } from './scoring.js';
+
+// Parse CLI arguments
+const args = process.argv.slice(2);
+const isDryRun = args.includes('--dry-run');
+const minSamplesArg = args.find(a => a.startsWith('--min-samples='));
+const MIN_SAMPLES = minSamplesArg ? parseInt(minSamplesArg.split('=')[1], 10) : 20;
+
+// Each class needs at least this many examples
+const MIN_PER_CLASS = 5;
+
+// Gradient descent settings
+const ITERATIONS = 5000;
+const LEARNING_RATE = 0.1;
+const L2_PENALTY = 0.01;
+
+// Model points per unit of log-odds, keeps weights on the familiar 5-20 scale
+const POINTS_PER_LOGIT = 10;
+
+const PAGE_SIZE = 1000;
+
+// Configuration
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('❌ SUPABASE_URL and SUPABASE_SERVICE_KEY are required');
+  process.exit(1);
+}
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+/**
+ * Main execution
+ */
+async function main() {
+  console.log('🧮 Scoring Model Training Starting...\n');
+
+  const current = loadScoringModel();
+  const keys = Object.keys(current.weights);
+  console.log(`Current model: v${current.version} (threshold ${current.threshold}, ${keys.length} weights)`);
+
+  const rows = await loadLabeled();
+  const posted = rows.filter(r => r.status === 'posted').length;
+  const skipped = rows.length - posted;
+  console.log(`Labeled opportunities: ${rows.length} (${posted} posted, ${skipped} skipped)`);
+  console.log('⚠️  Labels only cover opportunities that passed an earlier model\'s threshold,');
+  console.log('   so the fit can\'t tell how lower-scoring opportunities would have done.\n');
+
+  if (rows.length < MIN_SAMPLES || posted < MIN_PER_CLASS || skipped < MIN_PER_CLASS) {
+    console.log(`Not enough labels to train (need ${MIN_SAMPLES} total and ${MIN_PER_CLASS} of each). Model unchanged.`);
+    return;
+  }
+
+  // Feature counts per model weight (keywords in a group add up)
+  const X = rows.map(row => {
+    const x = new Array(keys.length).fill(0);
+    for (const feature of row.score_features || []) {
+      const index = keys.indexOf(weightKey(feature));
+      if (index >= 0) x[index]++;
+    }
+    return x;
+  });
+  const y = rows.map(row => (row.status === 'posted' ? 1 : 0));
+
+  const { coefficients, intercept } = fitLogistic(X, y);
+
+  const trained = {
+    version: current.version + 1,
+    trainedAt: new Date().toISOString(),
+    trainedOn: { posted, skipped },
+    threshold: round(-intercept * POINTS_PER_LOGIT),
+    weights: Object.fromEntries(keys.map((key, i) => [key, round(coefficients[i] * POINTS_PER_LOGIT)]))
+  };
+
+  console.log('📊 Weights (current → trained):');
+  for (const key of keys) {
+    console.log(`  ${key.padEnd(22)} ${String(current.weights[key]).padStart(6)} → ${trained.weights[key]}`);
+  }
+  console.log(`  ${'threshold'.padEnd(22)} ${String(current.threshold).padStart(6)} → ${trained.threshold}`);
+
+  console.log('\n🎯 Training accuracy:');
+  console.log(`  v${current.version}: ${accuracy(current, keys, X, y)}%`);
+  console.log(`  v${trained.version}: ${accuracy(trained, keys, X, y)}%`);
+
+  // Lowest labeled opportunity on the trained model's own scale
+  const lowestScore = Math.min(...X.map(x => modelScore(trained, keys, x)));
+
+  if (trained.threshold <= 0 || trained.threshold < lowestScore) {
+    console.log(`\n❌ Trained threshold ${trained.threshold} is ${trained.threshold <= 0 ? 'not positive' : `below the lowest labeled score (${lowestScore})`}; it would surface opportunities the labels never covered. Model unchanged.`);
+    return;
+  }
+
+  if (isDryRun) {
+    console.log('\n🏃 Dry run complete. Model not written.');
+    return;
+  }
+
+  saveScoringModel(trained);
+  console.log(`\n💾 Saved: ${MODEL_PATH} (v${trained.version})`);
+  console.log('\n✨ Done!');
+}
+
+/**
+ * Posted and skipped opportunities with their scoring features
+ */
+async function loadLabeled() {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('content_opportunities')
+      .select('status, score_features')
+      .in('status', ['posted', 'skipped'])
+      .order('created_at')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      console.error(`❌ Could not load labeled opportunities: ${error.message}`);
+      process.exit(1);
+    }
+
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return rows;
+}
+
+/**
+ * L2-regularized logistic regression by batch gradient descent
+ * @returns {{coefficients: number[], intercept: number}}
+ */
+function fitLogistic(X, y) {
+  const n = X.length;
+  const coefficients = new Array(X[0].length).fill(0);
+  let intercept = 0;
+
+  for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+    const gradient = new Array(coefficients.length).fill(0);
+    let interceptGradient = 0;
+
+    for (let i = 0; i < n; i++) {
+      const z = intercept + X[i].reduce((sum, value, j) => sum + value * coefficients[j], 0);
+      const error = 1 / (1 + Math.exp(-z)) - y[i];
+      interceptGradient += error;
+      X[i].forEach((value, j) => { gradient[j] += error * value; });
+    }
+
+    intercept -= LEARNING_RATE * interceptGradient / n;
+    coefficients.forEach((c, j) => {
+      coefficients[j] -= LEARNING_RATE * (gradient[j] / n + L2_PENALTY * c);
+    });
+  }
+
+  return { coefficients, intercept };
+}
+
+/**
+ * Share of labeled opportunities a model classifies correctly (score >= threshold ⇔ posted)
+ * Outcome multipliers are left out, so models are compared on their own weights.
+ */
+function accuracy(model, keys, X, y) {
+  const correct = X.filter((x, i) => (modelScore(model, keys, x) >= model.threshold) === (y[i] === 1)).length;
+  return Math.round((correct / X.length) * 100);
+}
+
+/**
+ * Score of one feature-count row under a model's weights
+ */
+function modelScore(model, keys, x) {
+  return x.reduce((sum, value, j) => sum + value * (model.weights[keys[j]] ?? 0), 0);
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Run
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
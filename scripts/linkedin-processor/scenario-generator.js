@@ -7,6 +7,9 @@ import Anthropic from '@anthropic-ai/sdk';
 
 const anthropic = new Anthropic();
 
+// Headlines that mark the contact as a founder of the company
+const FOUNDER_TITLE = /\b(co-?founder|founder|ceo)\b/i;
+
 /**
  * Generate a complete scenario for a company
  */
@@ -40,6 +43,11 @@ export async function generateScenario(enrichedProfile, companyInfo) {
         throw new Error('Missing required scenario fields');
       }
 
+      // Record founders so the watchlist agent can track mentions of them
+      if (FOUNDER_TITLE.test(enrichedProfile.headline || '') && enrichedProfile.name) {
+        scenario.founders = [enrichedProfile.name];
+      }
+
       console.log(`    ✓ Generated scenario: "${scenario.title}"`);
       return scenario;
     }
@@ -168,8 +176,9 @@ export function mergeScenario(existingScenarios, newScenario) {
   );
 
   if (existingIndex >= 0) {
-    // Update existing
-    existingScenarios[existingIndex] = newScenario;
+    // Update existing, keeping founders recorded from other connections
+    const founders = [...new Set([...(existingScenarios[existingIndex].founders || []), ...(newScenario.founders || [])])];
+    existingScenarios[existingIndex] = founders.length > 0 ? { ...newScenario, founders } : newScenario;
     return { scenarios: existingScenarios, action: 'updated' };
   }
 
@@ -0,0 +1,403 @@
+/**
+ * Map-Reduce Pattern Clustering
+ * Large backlogs don't fit one prompt, so complaints are clustered in batches
+ * and the batch clusters are then merged:
+ *
+ *   map     Complaints are grouped by category and split into batches of
+ *           PATTERN_BATCH_SIZE. Claude clusters each batch. A batch whose
+ *           response is truncated, unparseable or invalid is split in half
+ *           and retried; one that still fails is reported in failedIds, not
+ *           clustered.
+ *           Complaint ids Claude returns that weren't in the batch are dropped
+ *           (counted in unknownIds), and a complaint listed under several
+ *           clusters stays in the first.
+ *   reduce  Claude merges clusters from different batches that describe the
+ *           same problem. Member complaints, phrases and platforms are merged
+ *           here, not by Claude, so a bad reduce response can't lose them;
+ *           if the reduce call fails the batch clusters are kept as they are.
+ *
+ * A cluster is valid when it has a non-empty problem statement and a category
+ * from the shared taxonomy. A merged cluster that isn't keeps the problem
+ * statement and category of its first member.
+ *
+ * Frequency, average pain and platforms are derived from the member complaints.
+ * Complaints that end up in no pattern (left out by Claude, or in a cluster
+ * too small to keep) are reported in unassignedIds.
+ */
+
+import { COMPLAINT_CATEGORIES } from '../shared/taxonomy.js';
+
+// Complaints per map prompt
+const BATCH_SIZE = parseInt(process.env.PATTERN_BATCH_SIZE || '40', 10);
+
+// Failed batches at or below this size are not split further
+const MIN_SPLIT_SIZE = 5;
+
+// Clusters per reduce prompt; above this, clusters are merged within their category
+const MAX_REDUCE_CLUSTERS = 120;
+
+// A pattern needs this many complaints, unless its average pain is at least HIGH_PAIN
+const MIN_PATTERN_COMPLAINTS = 3;
+const HIGH_PAIN = 9;
+
+// Key phrases kept per pattern
+const MAX_KEY_PHRASES = 20;
+
+/**
+ * Cluster complaints into patterns
+ * @param {Object} anthropic - Anthropic client
+ * @param {Object[]} complaints - Complaint rows
+ * @returns {Promise<{patterns: Object[], failedIds: string[], unassignedIds: string[], unknownIds: string[], batches: number, failedBatches: number}>}
+ *   patterns as {problem_statement, category, frequency_count, key_phrases,
+ *   avg_pain_score, complaint_ids, platforms, is_actionable}
+ */
+export async function clusterComplaints(anthropic, complaints) {
+  const complaintsById = new Map(complaints.map(c => [c.id, c]));
+  const batches = chunkBy(complaints, c => c.category || 'other', BATCH_SIZE);
+
+  // Map
+  const clusters = [];
+  const failedIds = [];
+  const unknownIds = [];
+  let failedBatches = 0;
+
+  for (let i = 0; i < batches.length; i++) {
+    console.log(`  Batch ${i + 1}/${batches.length}: ${batches[i].length} ${batches[i][0].category || 'other'} complaints`);
+    const result = await clusterBatch(anthropic, batches[i]);
+    clusters.push(...result.clusters);
+    failedIds.push(...result.failedIds);
+    unknownIds.push(...result.unknownIds);
+    failedBatches += result.failedBatches;
+  }
+
+  console.log(`  ${clusters.length} clusters from ${batches.length} batches${failedBatches ? ` (${failedBatches} failed)` : ''}`);
+
+  // Reduce
+  const merged = batches.length > 1 ? await mergeClusters(anthropic, clusters) : clusters;
+
+  const patterns = merged
+    .map(cluster => withStats(cluster, complaintsById))
+    .filter(p => p.frequency_count >= MIN_PATTERN_COMPLAINTS || p.avg_pain_score >= HIGH_PAIN);
+
+  const failed = new Set(failedIds);
+  const assigned = new Set(patterns.flatMap(p => p.complaint_ids));
+  const unassignedIds = complaints.map(c => c.id).filter(id => !failed.has(id) && !assigned.has(id));
+
+  return { patterns, failedIds, unassignedIds, unknownIds, batches: batches.length, failedBatches };
+}
+
+/**
+ * Map step: cluster one batch, splitting it in half when the response can't be used
+ * @returns {Promise<{clusters: Object[], failedIds: string[], unknownIds: string[], failedBatches: number}>}
+ */
+async function clusterBatch(anthropic, batch) {
+  const clusters = await requestClusters(anthropic, batch);
+  if (clusters) return { ...assignToBatch(clusters, batch), failedIds: [], failedBatches: 0 };
+
+  if (batch.length <= MIN_SPLIT_SIZE) {
+    console.log(`    ✗ Batch of ${batch.length} failed; leaving its complaints for the next run`);
+    return { clusters: [], failedIds: batch.map(c => c.id), unknownIds: [], failedBatches: 1 };
+  }
+
+  console.log(`    Retrying as two batches of ${Math.ceil(batch.length / 2)}`);
+  const halves = [batch.slice(0, Math.ceil(batch.length / 2)), batch.slice(Math.ceil(batch.length / 2))];
+  const results = [];
+  for (const half of halves) {
+    results.push(await clusterBatch(anthropic, half));
+  }
+
+  return {
+    clusters: results.flatMap(r => r.clusters),
+    failedIds: results.flatMap(r => r.failedIds),
+    unknownIds: results.flatMap(r => r.unknownIds),
+    failedBatches: results.reduce((sum, r) => sum + r.failedBatches, 0)
+  };
+}
+
+/**
+ * Keep only complaint ids from the batch, each in one cluster
+ * @returns {{clusters: Object[], unknownIds: string[]}} Clusters left with no complaints are dropped
+ */
+function assignToBatch(clusters, batch) {
+  const batchIds = new Set(batch.map(c => c.id));
+  const assigned = new Set();
+  const unknownIds = [];
+
+  for (const cluster of clusters) {
+    cluster.complaint_ids = cluster.complaint_ids.filter(id => {
+      if (!batchIds.has(id)) {
+        unknownIds.push(id);
+        return false;
+      }
+      if (assigned.has(id)) return false;
+      assigned.add(id);
+      return true;
+    });
+  }
+
+  if (unknownIds.length > 0) {
+    console.log(`    Dropped ${unknownIds.length} complaint ids that weren't in the batch`);
+  }
+
+  return { clusters: clusters.filter(c => c.complaint_ids.length > 0), unknownIds };
+}
+
+/**
+ * Ask Claude to cluster a batch
+ * @returns {Promise<Object[]|null>} Clusters, or null when the response was truncated, unparseable or invalid
+ */
+async function requestClusters(anthropic, batch) {
+  // Prepare complaint summaries for Claude
+  const complaintSummaries = batch.map(c => ({
+    id: c.id,
+    category: c.category,
+    intentStage: c.metadata?.taxonomy?.intent_stage,
+    urgency: c.metadata?.taxonomy?.urgency,
+    problem: c.extracted_problem,
+    phrases: c.exact_phrases,
+    painScore: c.pain_score,
+    platform: c.platform
+  }));
+
+  const prompt = `You are analyzing user complaints from Reddit, Quora, and other platforms to identify patterns in B2B SaaS founder pain points.
+
+## COMPLAINTS TO ANALYZE
+${JSON.stringify(complaintSummaries, null, 2)}
+
+## YOUR TASK
+1. Group similar complaints into patterns
+2. For each pattern, identify:
+   - A clear problem statement (1 sentence)
+   - The category (one of: ${COMPLAINT_CATEGORIES.join(', ')})
+   - Key phrases people use (EXACT quotes from the complaints)
+   - Which complaints belong to it
+   - Is this actionable (can we help with this)?
+
+## OUTPUT FORMAT
+Return a JSON array of patterns:
+[
+  {
+    "problem_statement": "Founders don't know how to identify their ideal customer profile",
+    "category": "validation",
+    "key_phrases": ["don't know who to sell to", "everyone is my customer", "keep pivoting"],
+    "complaint_ids": ["uuid1", "uuid2"],
+    "is_actionable": true
+  }
+]
+
+Important:
+- Combine truly similar problems (don't create too many patterns)
+- Use EXACT phrases from the complaints when possible
+- Include complaint IDs for each pattern, using only the IDs listed above
+- Put every complaint in exactly one pattern
+- This is one batch of a larger set: small patterns are fine, they will be merged with other batches
+
+Return ONLY the JSON array, no other text.`;
+
+  try {
+    const response = await anthropic.messages.create({
+      model: 'claude-sonnet-4-20250514',
+      max_tokens: 4000,
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    if (response.stop_reason === 'max_tokens') {
+      console.log('    Warning: Response truncated');
+      return null;
+    }
+
+    const text = response.content[0].text;
+    const jsonMatch = text.match(/\[[\s\S]*\]/);
+
+    if (!jsonMatch) {
+      console.log('    Warning: Could not parse patterns from Claude response');
+      return null;
+    }
+
+    const patterns = JSON.parse(jsonMatch[0]);
+    const errors = Array.isArray(patterns)
+      ? patterns.flatMap((pattern, i) => validateCluster(pattern).map(e => `pattern ${i}: ${e}`))
+      : ['Response was not a JSON array'];
+
+    if (errors.length > 0) {
+      console.log('    Warning: Invalid patterns from Claude response');
+      errors.forEach(e => console.log(`      - ${e}`));
+      return null;
+    }
+
+    return patterns.map(pattern => ({
+      problem_statement: pattern.problem_statement.trim(),
+      category: pattern.category,
+      key_phrases: pattern.key_phrases || [],
+      complaint_ids: Array.isArray(pattern.complaint_ids) ? pattern.complaint_ids : [],
+      is_actionable: pattern.is_actionable !== false
+    }));
+
+  } catch (error) {
+    console.log(`    Warning: Error analyzing batch: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Reduce step: merge clusters from different batches that describe the same problem
+ * @returns {Promise<Object[]>} Merged clusters
+ */
+async function mergeClusters(anthropic, clusters) {
+  const groups = clusters.length > MAX_REDUCE_CLUSTERS
+    ? chunkBy(clusters, c => c.category || 'other', MAX_REDUCE_CLUSTERS)
+    : [clusters];
+
+  const merged = [];
+  for (const group of groups) {
+    merged.push(...await mergeGroup(anthropic, group));
+  }
+
+  console.log(`  Merged into ${merged.length} patterns`);
+  return merged;
+}
+
+/**
+ * Merge one group of clusters. Clusters Claude leaves out (or whose response
+ * can't be parsed) pass through unchanged.
+ */
+async function mergeGroup(anthropic, clusters) {
+  if (clusters.length < 2) return clusters;
+
+  const summaries = clusters.map((c, index) => ({
+    index,
+    category: c.category,
+    problem_statement: c.problem_statement,
+    complaints: c.complaint_ids.length,
+    key_phrases: c.key_phrases.slice(0, 5)
+  }));
+
+  const prompt = `These complaint patterns were identified separately in batches of B2B SaaS founder complaints. Some describe the same underlying problem in different words.
+
+## PATTERNS
+${JSON.stringify(summaries, null, 2)}
+
+## YOUR TASK
+Merge patterns that describe the same problem. Keep distinct problems separate.
+For each merged pattern, write one clear problem statement (1 sentence) and list the indexes it merges.
+
+## OUTPUT FORMAT
+Return a JSON array covering every index exactly once:
+[
+  {
+    "problem_statement": "Founders don't know how to identify their ideal customer profile",
+    "category": "validation",
+    "members": [0, 4, 7],
+    "is_actionable": true
+  }
+]
+
+Return ONLY the JSON array, no other text.`;
+
+  let groups;
+  try {
+    const response = await anthropic.messages.create({
+      model: 'claude-sonnet-4-20250514',
+      max_tokens: 4000,
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    const jsonMatch = response.content[0].text.match(/\[[\s\S]*\]/);
+    groups = jsonMatch && response.stop_reason !== 'max_tokens' ? JSON.parse(jsonMatch[0]) : null;
+  } catch (error) {
+    console.log(`  Warning: Error merging patterns: ${error.message}`);
+    groups = null;
+  }
+
+  if (!Array.isArray(groups)) {
+    console.log('  Warning: Could not merge patterns; keeping batch patterns as they are');
+    return clusters;
+  }
+
+  const used = new Set();
+  const merged = [];
+
+  for (const group of groups) {
+    const members = [...new Set(group.members || [])]
+      .filter(i => Number.isInteger(i) && clusters[i] && !used.has(i));
+    if (members.length === 0) continue;
+    members.forEach(i => used.add(i));
+
+    const parts = members.map(i => clusters[i]);
+    const valid = validateCluster(group).length === 0;
+    merged.push({
+      problem_statement: valid ? group.problem_statement.trim() : parts[0].problem_statement,
+      category: valid ? group.category : parts[0].category,
+      key_phrases: [...new Set(parts.flatMap(p => p.key_phrases))].slice(0, MAX_KEY_PHRASES),
+      complaint_ids: [...new Set(parts.flatMap(p => p.complaint_ids))],
+      is_actionable: group.is_actionable ?? parts.some(p => p.is_actionable)
+    });
+  }
+
+  // Anything Claude didn't place stays as its own pattern
+  clusters.forEach((cluster, i) => {
+    if (!used.has(i)) merged.push(cluster);
+  });
+
+  return merged;
+}
+
+/**
+ * Check a cluster's problem statement and category
+ * @param {Object} cluster - Cluster as returned by Claude
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateCluster(cluster) {
+  if (!cluster || typeof cluster !== 'object') {
+    return ['must be a JSON object'];
+  }
+
+  const errors = [];
+
+  if (typeof cluster.problem_statement !== 'string' || cluster.problem_statement.trim() === '') {
+    errors.push('"problem_statement" must be a non-empty string');
+  }
+
+  if (!COMPLAINT_CATEGORIES.includes(cluster.category)) {
+    errors.push(`"category" must be one of: ${COMPLAINT_CATEGORIES.join(', ')} (got ${JSON.stringify(cluster.category)})`);
+  }
+
+  return errors;
+}
+
+/**
+ * Add frequency, average pain and platforms from the member complaints
+ */
+function withStats(cluster, complaintsById) {
+  const members = cluster.complaint_ids.map(id => complaintsById.get(id)).filter(Boolean);
+  const painScores = members.map(c => c.pain_score).filter(s => typeof s === 'number');
+
+  return {
+    ...cluster,
+    frequency_count: members.length,
+    avg_pain_score: painScores.length > 0
+      ? Math.round(painScores.reduce((a, b) => a + b, 0) / painScores.length * 10) / 10
+      : null,
+    platforms: [...new Set(members.map(c => c.platform).filter(Boolean))]
+  };
+}
+
+/**
+ * Group items by key, then split each group into chunks of at most `size`
+ */
+function chunkBy(items, keyOf, size) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+
+  const chunks = [];
+  for (const group of groups.values()) {
+    for (let i = 0; i < group.length; i += size) {
+      chunks.push(group.slice(i, i + size));
+    }
+  }
+  return chunks;
+}
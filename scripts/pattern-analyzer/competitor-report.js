@@ -0,0 +1,227 @@
+/**
+ * Competitor Pain Report
+ * Weekly roll-up of tool_mentions: mention volume and sentiment per tool, plus
+ * the complaint phrases people use about it
+ *
+ * Output: competitor-pain/weekly/<date>.md and <date>.json under OUTPUT_ROOT
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Configuration
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
+const LOOKBACK_DAYS = parseInt(process.env.LOOKBACK_DAYS || '7');
+const OUTPUT_ROOT = process.env.OUTPUT_ROOT || process.cwd();
+
+// Tools included in the report, most negative first
+const MAX_TOOLS = 20;
+const TOP_PHRASES = 5;
+const TOP_QUOTES = 3;
+
+const PAGE_SIZE = 1000;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('❌ SUPABASE_URL and SUPABASE_SERVICE_KEY are required');
+  process.exit(1);
+}
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+/**
+ * Main execution
+ */
+async function main() {
+  console.log('🏷️  Competitor Pain Report Starting...\n');
+  console.log(`Mentions from the last ${LOOKBACK_DAYS} days\n`);
+
+  const since = new Date();
+  since.setDate(since.getDate() - LOOKBACK_DAYS);
+
+  const mentions = await loadMentions(since);
+  console.log(`📋 Found ${mentions.length} tool mentions\n`);
+
+  const tools = aggregateByTool(mentions);
+
+  const date = new Date().toISOString().split('T')[0];
+  const report = {
+    date,
+    since: since.toISOString().split('T')[0],
+    totalMentions: mentions.length,
+    toolsMentioned: tools.length,
+    tools: tools.slice(0, MAX_TOOLS)
+  };
+
+  await saveReport(report);
+
+  console.log('\n📊 Most Complained-About Tools:');
+  for (const tool of report.tools.slice(0, 10)) {
+    console.log(`  ${tool.name}: ${tool.mentions} mentions (${tool.sentiment.negative} negative)`);
+  }
+
+  // Export for GitHub Action
+  const envFile = process.env.GITHUB_ENV;
+  if (envFile) {
+    const fsSync = await import('fs');
+    fsSync.appendFileSync(envFile, `COMPETITOR_TOOLS=${tools.length}\n`);
+    if (report.tools.length > 0) {
+      const top = report.tools[0];
+      fsSync.appendFileSync(envFile, `TOP_COMPETITOR_PAIN=${top.name} (${top.sentiment.negative} negative of ${top.mentions})\n`);
+    }
+  }
+
+  console.log('\n✨ Done!');
+}
+
+/**
+ * Load mentions since a date, with the linked complaint's phrases and pain score
+ */
+async function loadMentions(since) {
+  const mentions = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('tool_mentions')
+      .select('name, normalized_name, tool_category, sentiment, quote, source_agent, post_url, complaints(exact_phrases, pain_score)')
+      .gte('created_at', since.toISOString())
+      .order('created_at')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      console.error(`❌ Could not load tool mentions: ${error.message}`);
+      process.exit(1);
+    }
+
+    mentions.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return mentions;
+}
+
+/**
+ * Group mentions by tool
+ * @returns {Object[]} Tools sorted by negative mentions, then total mentions
+ */
+function aggregateByTool(mentions) {
+  const byTool = new Map();
+
+  for (const mention of mentions) {
+    let tool = byTool.get(mention.normalized_name);
+    if (!tool) {
+      tool = {
+        names: {},
+        categories: {},
+        mentions: 0,
+        sentiment: { negative: 0, neutral: 0, positive: 0 },
+        sources: new Set(),
+        painScores: [],
+        phrases: {},
+        negativeQuotes: []
+      };
+      byTool.set(mention.normalized_name, tool);
+    }
+
+    tool.mentions++;
+    tool.names[mention.name] = (tool.names[mention.name] || 0) + 1;
+    tool.categories[mention.tool_category] = (tool.categories[mention.tool_category] || 0) + 1;
+    tool.sentiment[mention.sentiment]++;
+    tool.sources.add(mention.source_agent);
+
+    if (mention.complaints) {
+      if (mention.complaints.pain_score) tool.painScores.push(mention.complaints.pain_score);
+      for (const phrase of mention.complaints.exact_phrases || []) {
+        tool.phrases[phrase] = (tool.phrases[phrase] || 0) + 1;
+      }
+    }
+
+    if (mention.sentiment === 'negative' && mention.quote) {
+      tool.negativeQuotes.push({ quote: mention.quote, url: mention.post_url });
+    }
+  }
+
+  return [...byTool.entries()]
+    .map(([normalizedName, tool]) => ({
+      name: mostCommon(tool.names),
+      normalizedName,
+      category: mostCommon(tool.categories),
+      mentions: tool.mentions,
+      sentiment: tool.sentiment,
+      avgPainScore: tool.painScores.length > 0
+        ? Math.round((tool.painScores.reduce((a, b) => a + b, 0) / tool.painScores.length) * 10) / 10
+        : null,
+      sources: [...tool.sources],
+      topPhrases: Object.entries(tool.phrases)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TOP_PHRASES)
+        .map(([phrase, count]) => ({ phrase, count })),
+      negativeQuotes: tool.negativeQuotes.slice(0, TOP_QUOTES)
+    }))
+    .sort((a, b) => b.sentiment.negative - a.sentiment.negative || b.mentions - a.mentions);
+}
+
+/**
+ * Write the report as JSON and markdown
+ */
+async function saveReport(report) {
+  const outputDir = path.join(OUTPUT_ROOT, 'competitor-pain/weekly');
+  await fs.mkdir(outputDir, { recursive: true });
+
+  await fs.writeFile(path.join(outputDir, `${report.date}.json`), JSON.stringify(report, null, 2), 'utf-8');
+  await fs.writeFile(path.join(outputDir, `${report.date}.md`), formatMarkdown(report), 'utf-8');
+
+  console.log(`💾 Saved: competitor-pain/weekly/${report.date}.{json,md}`);
+}
+
+/**
+ * Render the report as markdown
+ */
+function formatMarkdown(report) {
+  let md = `# Competitor Pain Report - ${report.date}
+
+**Period:** ${report.since} → ${report.date}
+**Mentions:** ${report.totalMentions} across ${report.toolsMentioned} tools
+
+| Tool | Category | Mentions | Negative | Neutral | Positive | Avg Pain |
+|------|----------|----------|----------|---------|----------|----------|
+`;
+
+  for (const tool of report.tools) {
+    md += `| ${tool.name} | ${tool.category} | ${tool.mentions} | ${tool.sentiment.negative} | ${tool.sentiment.neutral} | ${tool.sentiment.positive} | ${tool.avgPainScore ?? '-'} |\n`;
+  }
+
+  for (const tool of report.tools.filter(t => t.topPhrases.length > 0 || t.negativeQuotes.length > 0)) {
+    md += `\n## ${tool.name}\n`;
+
+    if (tool.topPhrases.length > 0) {
+      md += '\n### Top Complaint Phrases\n';
+      for (const { phrase, count } of tool.topPhrases) {
+        md += `- "${phrase}"${count > 1 ? ` (${count})` : ''}\n`;
+      }
+    }
+
+    if (tool.negativeQuotes.length > 0) {
+      md += '\n### Negative Mentions\n';
+      for (const { quote, url } of tool.negativeQuotes) {
+        md += `- "${quote}" ([source](${url}))\n`;
+      }
+    }
+  }
+
+  return md;
+}
+
+/**
+ * Key with the highest count
+ */
+function mostCommon(counts) {
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Run
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
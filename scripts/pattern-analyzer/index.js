@@ -2,17 +2,54 @@
  * Pattern Analyzer
  * Analyzes complaints to identify recurring patterns and exact language
  * Runs weekly to aggregate insights
+ *
+ * Complaints are clustered in batches and merged (see clustering.js). A
+ * complaint is only marked processed once its batch was clustered and its
+ * pattern saved. Complaints in a failed batch, in no pattern, or in a pattern
+ * that couldn't be saved are re-queued: the next run picks them up even when
+ * they're older than LOOKBACK_DAYS, up to MAX_REQUEUES times. Patterns are matched to
+ * existing ones by similarity (see matching.js); near misses are saved as new
+ * patterns and logged to complaint_pattern_reviews. Frequency, pain, first/last
+ * seen and platforms of every saved pattern are then recomputed from its
+ * linked complaints (see stats.js; `npm run recompute-stats` repairs the table).
+ *
+ * Usage:
+ *   node index.js                                   # All unprocessed complaints
+ *   node index.js --intent=solution_seeking,evaluating
+ *   node index.js --urgency=high --category=sales   # Filter on complaint taxonomy
  */
 
 import Anthropic from '@anthropic-ai/sdk';
 import { createClient } from '@supabase/supabase-js';
 
+import { SHOPPING_STAGES } from '../shared/taxonomy.js';
+import {
+  parseTaxonomyFilters,
+  applyTaxonomyFilters,
+  filterByCategory,
+  summarizeTaxonomy,
+  mergeTaxonomy
+} from './taxonomy.js';
+import { clusterComplaints } from './clustering.js';
+import { createPatternMatcher } from './matching.js';
+import { recomputePatternStats } from './stats.js';
+
 const anthropic = new Anthropic();
 
 // Configuration
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
 const LOOKBACK_DAYS = parseInt(process.env.LOOKBACK_DAYS || '7');
+const PAGE_SIZE = 1000;
+
+// Runs a complaint is re-queued for before it is marked processed without a pattern
+const MAX_REQUEUES = parseInt(process.env.PATTERN_MAX_REQUEUES || '3', 10);
+
+// Unassigned complaints listed in the log
+const MAX_LISTED_UNASSIGNED = 10;
+
+// complaint_patterns columns pattern matching and merging need
+const PATTERN_COLUMNS = 'id, problem_statement, complaint_ids, key_phrases, taxonomy';
 
 if (!supabaseUrl || !supabaseKey) {
   console.error('❌ SUPABASE_URL and SUPABASE_SERVICE_KEY are required');
@@ -28,21 +65,26 @@ async function main() {
   console.log('📊 Pattern Analyzer Starting...\n');
   console.log(`Analyzing complaints from the last ${LOOKBACK_DAYS} days\n`);
 
+  let filters;
+  try {
+    filters = parseTaxonomyFilters(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  for (const [name, values] of Object.entries(filters)) {
+    if (values) console.log(`Filter ${name}: ${values.join(', ')}`);
+  }
+
   try {
-    // 1. Fetch unprocessed complaints
+    // 1. Fetch unprocessed complaints from the lookback window, plus re-queued ones
+    //    (near-duplicates are linked to a canonical complaint and skipped)
     const lookbackDate = new Date();
     lookbackDate.setDate(lookbackDate.getDate() - LOOKBACK_DAYS);
 
-    const { data: complaints, error: fetchError } = await supabase
-      .from('complaints')
-      .select('*')
-      .eq('is_processed', false)
-      .gte('created_at', lookbackDate.toISOString())
-      .order('pain_score', { ascending: false });
-
-    if (fetchError) {
-      throw new Error(`Failed to fetch complaints: ${fetchError.message}`);
-    }
+    const fetched = await loadUnprocessedComplaints(lookbackDate, filters);
+    const complaints = filterByCategory(fetched, filters.category);
 
     console.log(`📋 Found ${complaints?.length || 0} unprocessed complaints\n`);
 
@@ -61,46 +103,86 @@ async function main() {
 
     console.log('Categories found:', Object.keys(byCategory).join(', '));
 
-    // 3. Analyze patterns with Claude
-    const patterns = await analyzePatterns(complaints);
-    console.log(`\n🎯 Identified ${patterns.length} patterns\n`);
+    const taxonomy = summarizeTaxonomy(complaints);
+    const shoppingCount = SHOPPING_STAGES.reduce((sum, stage) => sum + (taxonomy.intent_stages[stage] || 0), 0);
+    console.log('Intent stages:', formatCounts(taxonomy.intent_stages));
+    console.log('Urgency:', formatCounts(taxonomy.urgency));
+    if (taxonomy.tools_tried.length > 0) {
+      console.log('Tools tried:', taxonomy.tools_tried.map(t => `${t.tool} (${t.count})`).join(', '));
+    }
+
+    const complaintsById = new Map(complaints.map(c => [c.id, c]));
 
-    // 4. Save/update patterns in Supabase
+    // 3. Analyze patterns with Claude, batch by batch
+    console.log('\n🧠 Clustering complaints...');
+    const { patterns, failedIds, unassignedIds, unknownIds, failedBatches } = await clusterComplaints(anthropic, complaints);
+    console.log(`\n🎯 Identified ${patterns.length} patterns`);
+    if (unknownIds.length > 0) {
+      console.log(`⚠️  Dropped ${unknownIds.length} complaint ids Claude returned that weren't in its batch`);
+    }
+    if (unassignedIds.length > 0) {
+      console.log(`⚠️  ${unassignedIds.length} complaints weren't assigned to any pattern:`);
+      for (const id of unassignedIds.slice(0, MAX_LISTED_UNASSIGNED)) {
+        console.log(`     ${id} ${(complaintsById.get(id).extracted_problem || '').slice(0, 80)}`);
+      }
+      if (unassignedIds.length > MAX_LISTED_UNASSIGNED) {
+        console.log(`     ...and ${unassignedIds.length - MAX_LISTED_UNASSIGNED} more`);
+      }
+    }
+    console.log('');
+
+    // Complaints whose batch failed, that no pattern took, or whose pattern couldn't be saved are re-queued
+    const deferredIds = new Set([...failedIds, ...unassignedIds]);
+
+    // 4. Save/update patterns in Supabase, matching them to existing patterns by similarity
     let newPatterns = 0;
     let updatedPatterns = 0;
+    let ambiguousPatterns = 0;
+
+    const savedPatternIds = new Set();
+    const matcher = createPatternMatcher(await loadPatterns());
 
     for (const pattern of patterns) {
-      // Check if pattern already exists
-      const { data: existing } = await supabase
-        .from('complaint_patterns')
-        .select('id, frequency_count, complaint_ids, key_phrases')
-        .eq('problem_statement', pattern.problem_statement)
-        .single();
-
-      if (existing) {
-        // Update existing pattern
+      const patternTaxonomy = summarizeTaxonomy(
+        (pattern.complaint_ids || []).map(id => complaintsById.get(id)).filter(Boolean)
+      );
+
+      const { decision, existing, similarity, candidates } = matcher.match(pattern);
+
+      if (decision === 'match') {
+        // Update existing pattern; its stats are recomputed below
         const existingIds = existing.complaint_ids || [];
         const newIds = [...new Set([...existingIds, ...pattern.complaint_ids])];
 
         const existingPhrases = existing.key_phrases || [];
         const newPhrases = [...new Set([...existingPhrases, ...pattern.key_phrases])].slice(0, 20);
 
-        await supabase
+        const { data: updated, error } = await supabase
           .from('complaint_patterns')
           .update({
-            frequency_count: existing.frequency_count + pattern.frequency_count,
-            last_seen_at: new Date().toISOString(),
             complaint_ids: newIds,
             key_phrases: newPhrases,
-            avg_pain_score: pattern.avg_pain_score,
-            platforms: pattern.platforms
+            taxonomy: mergeTaxonomy(existing.taxonomy, patternTaxonomy)
           })
-          .eq('id', existing.id);
-
+          .eq('id', existing.id)
+          .select(PATTERN_COLUMNS)
+          .single();
+
+        if (error) {
+          console.log(`  Warning: Could not update pattern "${pattern.problem_statement}": ${error.message}`);
+          pattern.complaint_ids.forEach(id => deferredIds.add(id));
+          continue;
+        }
+
+        if (similarity < 1) {
+          console.log(`  ↪ "${pattern.problem_statement}" → "${existing.problem_statement}" (${similarity})`);
+        }
+        matcher.add(updated);
+        savedPatternIds.add(updated.id);
         updatedPatterns++;
       } else {
         // Insert new pattern
-        await supabase
+        const { data: inserted, error } = await supabase
           .from('complaint_patterns')
           .insert({
             problem_statement: pattern.problem_statement,
@@ -110,21 +192,52 @@ async function main() {
             avg_pain_score: pattern.avg_pain_score,
             complaint_ids: pattern.complaint_ids,
             platforms: pattern.platforms,
-            is_actionable: pattern.is_actionable
-          });
+            is_actionable: pattern.is_actionable,
+            taxonomy: patternTaxonomy
+          })
+          .select(PATTERN_COLUMNS)
+          .single();
 
+        if (error) {
+          console.log(`  Warning: Could not save pattern "${pattern.problem_statement}": ${error.message}`);
+          pattern.complaint_ids.forEach(id => deferredIds.add(id));
+          continue;
+        }
+
+        matcher.add(inserted);
+        savedPatternIds.add(inserted.id);
         newPatterns++;
+
+        // Close to an existing pattern but not clearly the same: ask a human
+        if (decision === 'ambiguous') {
+          console.log(`  ? "${pattern.problem_statement}" resembles "${existing.problem_statement}" (${similarity}), logged for review`);
+          await logAmbiguousMatch(inserted, similarity, candidates);
+          ambiguousPatterns++;
+        }
       }
     }
 
-    // 5. Mark complaints as processed
-    const complaintIds = complaints.map(c => c.id);
-    await supabase
-      .from('complaints')
-      .update({ is_processed: true })
-      .in('id', complaintIds);
+    // 5. Recompute stats of the saved patterns from their linked complaints
+    const stats = await recomputePatternStats(supabase, { patternIds: [...savedPatternIds] });
+    console.log(`\n🧮 Recomputed stats: ${stats.updated} patterns updated${stats.failed ? `, ${stats.failed} failed` : ''}`);
+
+    // 6. Re-queue deferred complaints; ones re-queued MAX_REQUEUES times are given up on
+    const { requeued, givenUp } = await requeueComplaints([...deferredIds].map(id => complaintsById.get(id)));
+
+    // 7. Mark complaints as processed
+    const complaintIds = complaints.map(c => c.id).filter(id => !deferredIds.has(id) || givenUp.includes(id));
+    if (complaintIds.length > 0) {
+      const { error: processedError } = await supabase
+        .from('complaints')
+        .update({ is_processed: true })
+        .in('id', complaintIds);
+
+      if (processedError) {
+        throw new Error(`Failed to mark complaints processed: ${processedError.message}`);
+      }
+    }
 
-    // 6. Generate summary for GitHub Action
+    // 8. Generate summary for GitHub Action
     const topPatterns = patterns
       .sort((a, b) => b.frequency_count - a.frequency_count)
       .slice(0, 10);
@@ -143,7 +256,11 @@ async function main() {
     if (envFile) {
       fs.appendFileSync(envFile, `NEW_PATTERNS=${newPatterns}\n`);
       fs.appendFileSync(envFile, `UPDATED_PATTERNS=${updatedPatterns}\n`);
-      fs.appendFileSync(envFile, `COMPLAINTS_PROCESSED=${complaints.length}\n`);
+      fs.appendFileSync(envFile, `PATTERNS_FOR_REVIEW=${ambiguousPatterns}\n`);
+      fs.appendFileSync(envFile, `COMPLAINTS_PROCESSED=${complaintIds.length}\n`);
+      fs.appendFileSync(envFile, `COMPLAINTS_DEFERRED=${requeued}\n`);
+      fs.appendFileSync(envFile, `COMPLAINTS_UNASSIGNED=${unassignedIds.length}\n`);
+      fs.appendFileSync(envFile, `SHOPPING_COMPLAINTS=${shoppingCount}\n`);
 
       // Export top pattern for issue title
       if (topPatterns.length > 0) {
@@ -152,9 +269,14 @@ async function main() {
     }
 
     console.log('\n📊 Summary:');
-    console.log(`  Complaints processed: ${complaints.length}`);
+    console.log(`  Complaints processed: ${complaintIds.length}`);
+    console.log(`  Complaints re-queued for next run: ${requeued}${failedBatches ? ` (${failedBatches} failed batches)` : ''}`);
+    console.log(`  Unassigned to any pattern: ${unassignedIds.length}`);
+    console.log(`  Given up after ${MAX_REQUEUES} re-queues: ${givenUp.length}`);
+    console.log(`  Actively shopping (${SHOPPING_STAGES.join('/')}): ${shoppingCount}`);
     console.log(`  New patterns: ${newPatterns}`);
     console.log(`  Updated patterns: ${updatedPatterns}`);
+    console.log(`  Ambiguous matches logged for review: ${ambiguousPatterns}`);
     console.log('\n✨ Done!');
 
   } catch (error) {
@@ -164,79 +286,123 @@ async function main() {
 }
 
 /**
- * Analyze complaints to identify patterns using Claude
+ * Re-queue complaints for the next run by bumping requeue_count
+ * @param {Object[]} complaints - Complaint rows
+ * @returns {Promise<{requeued: number, givenUp: string[]}>} givenUp: ids re-queued MAX_REQUEUES times already
  */
-async function analyzePatterns(complaints) {
-  // Prepare complaint summaries for Claude
-  const complaintSummaries = complaints.map(c => ({
-    id: c.id,
-    category: c.category,
-    problem: c.extracted_problem,
-    phrases: c.exact_phrases,
-    painScore: c.pain_score,
-    platform: c.platform
-  }));
-
-  const prompt = `You are analyzing user complaints from Reddit, Quora, and other platforms to identify patterns in B2B SaaS founder pain points.
-
-## COMPLAINTS TO ANALYZE
-${JSON.stringify(complaintSummaries, null, 2)}
-
-## YOUR TASK
-1. Group similar complaints into patterns
-2. For each pattern, identify:
-   - A clear problem statement (1 sentence)
-   - The category (validation, sales, product, hiring, marketing, fundraising, operations, other)
-   - Key phrases people use (EXACT quotes from the complaints)
-   - Average pain score
-   - Which platforms this appears on
-   - Is this actionable (can we help with this)?
-
-## OUTPUT FORMAT
-Return a JSON array of patterns:
-[
-  {
-    "problem_statement": "Founders don't know how to identify their ideal customer profile",
-    "category": "validation",
-    "frequency_count": 5,
-    "key_phrases": ["don't know who to sell to", "everyone is my customer", "keep pivoting"],
-    "avg_pain_score": 7.5,
-    "complaint_ids": ["uuid1", "uuid2"],
-    "platforms": ["reddit", "quora"],
-    "is_actionable": true
+async function requeueComplaints(complaints) {
+  const givenUp = [];
+  const byCount = new Map();
+
+  for (const complaint of complaints) {
+    const count = complaint.requeue_count || 0;
+    if (count >= MAX_REQUEUES) {
+      givenUp.push(complaint.id);
+      continue;
+    }
+    if (!byCount.has(count)) byCount.set(count, []);
+    byCount.get(count).push(complaint.id);
   }
-]
 
-Important:
-- Combine truly similar problems (don't create too many patterns)
-- Use EXACT phrases from the complaints when possible
-- Include complaint IDs for each pattern
-- Minimum 3 complaints to form a pattern (unless pain score is 9+)
+  let requeued = 0;
+  for (const [count, ids] of byCount) {
+    const { error } = await supabase
+      .from('complaints')
+      .update({ requeue_count: count + 1 })
+      .in('id', ids);
 
-Return ONLY the JSON array, no other text.`;
+    if (error) {
+      // Still unprocessed, so picked up again while inside the lookback window
+      console.log(`  Warning: Could not re-queue ${ids.length} complaints: ${error.message}`);
+      continue;
+    }
+    requeued += ids.length;
+  }
 
-  try {
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4000,
-      messages: [{ role: 'user', content: prompt }]
-    });
+  return { requeued, givenUp };
+}
 
-    const text = response.content[0].text;
-    const jsonMatch = text.match(/\[[\s\S]*\]/);
+/**
+ * Load unprocessed complaints from the lookback window, plus re-queued ones,
+ * matching the taxonomy filters
+ */
+async function loadUnprocessedComplaints(lookbackDate, filters) {
+  const complaints = [];
 
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const query = supabase
+      .from('complaints')
+      .select('*')
+      .eq('is_processed', false)
+      .is('metadata->>duplicate_of', null)
+      .or(`created_at.gte."${lookbackDate.toISOString()}",requeue_count.gt.0`)
+      .order('pain_score', { ascending: false })
+      .order('id');
+
+    const { data, error } = await applyTaxonomyFilters(query, filters).range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch complaints: ${error.message}`);
     }
 
-    console.error('Could not parse patterns from Claude response');
-    return [];
+    complaints.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
 
-  } catch (error) {
-    console.error('Error analyzing patterns:', error.message);
-    return [];
+  return complaints;
+}
+
+/**
+ * Load every existing pattern for matching
+ */
+async function loadPatterns() {
+  const patterns = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('complaint_patterns')
+      .select(PATTERN_COLUMNS)
+      .order('created_at')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to load existing patterns: ${error.message}`);
+    }
+
+    patterns.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return patterns;
+}
+
+/**
+ * Record a new pattern that resembles existing ones, for a human to merge or keep apart
+ */
+async function logAmbiguousMatch(pattern, similarity, candidates) {
+  const { error } = await supabase
+    .from('complaint_pattern_reviews')
+    .insert({
+      pattern_id: pattern.id,
+      problem_statement: pattern.problem_statement,
+      similarity,
+      candidates
+    });
+
+  if (error) {
+    console.log(`  Warning: Could not log pattern for review: ${error.message}`);
   }
 }
 
+/**
+ * "a: 1, b: 2" from a counts object, largest first
+ */
+function formatCounts(counts) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([key, count]) => `${key}: ${count}`)
+    .join(', ') || 'none';
+}
+
 // Run
 main().catch(console.error);
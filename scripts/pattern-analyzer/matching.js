@@ -0,0 +1,186 @@
+/**
+ * Pattern Matching
+ * Decides whether a pattern from this run is one we already track, by TF-IDF
+ * cosine similarity over each pattern's problem statement (counted twice) and
+ * key phrases, instead of an exact problem_statement match.
+ *
+ *   similarity >= PATTERN_MATCH_THRESHOLD   same pattern, merged into it
+ *   similarity >= PATTERN_REVIEW_THRESHOLD  ambiguous: saved as a new pattern
+ *                                           and logged to complaint_pattern_reviews
+ *   otherwise                               new pattern
+ *
+ * A match is also ambiguous when a second existing pattern scores within
+ * AMBIGUITY_MARGIN of the best one. An identical problem statement is always a match.
+ */
+
+const MATCH_THRESHOLD = parseFloat(process.env.PATTERN_MATCH_THRESHOLD || '0.5');
+const REVIEW_THRESHOLD = parseFloat(process.env.PATTERN_REVIEW_THRESHOLD || '0.3');
+const AMBIGUITY_MARGIN = 0.05;
+
+// Candidates recorded with an ambiguous match
+const MAX_CANDIDATES = 3;
+
+// Words too common to tell patterns apart
+const STOP_WORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'because', 'but', 'by', 'can', 'cant',
+  'do', 'does', 'dont', 'for', 'from', 'has', 'have', 'how', 'i', 'in', 'into', 'is', 'it',
+  'its', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'them',
+  'they', 'this', 'to', 'we', 'what', 'when', 'which', 'who', 'with', 'without', 'you', 'your'
+]);
+
+/**
+ * In-memory matcher over existing patterns
+ * @param {Object[]} patterns - complaint_patterns rows (id, problem_statement, key_phrases, ...)
+ * @returns {{match: Function, add: Function}}
+ */
+export function createPatternMatcher(patterns) {
+  const docs = patterns.map(row => ({ row, terms: termCounts(row) }));
+
+  return {
+    /**
+     * Find the existing pattern a new pattern belongs to
+     * @param {Object} pattern - {problem_statement, key_phrases}
+     * @returns {{decision: 'match'|'ambiguous'|'new', existing: Object|null, similarity: number, candidates: Array<{id, problem_statement, similarity}>}}
+     */
+    match(pattern) {
+      const statement = normalizeStatement(pattern.problem_statement);
+      const exact = docs.find(d => normalizeStatement(d.row.problem_statement) === statement);
+      if (exact) {
+        return {
+          decision: 'match',
+          existing: exact.row,
+          similarity: 1,
+          candidates: [{ id: exact.row.id, problem_statement: exact.row.problem_statement, similarity: 1 }]
+        };
+      }
+
+      const query = termCounts(pattern);
+      const idf = inverseDocumentFrequency([...docs.map(d => d.terms), query]);
+      const queryVector = weigh(query, idf);
+
+      const ranked = docs
+        .map(doc => ({ doc, similarity: round(cosine(queryVector, weigh(doc.terms, idf))) }))
+        .filter(r => r.similarity > 0)
+        .sort((a, b) => b.similarity - a.similarity);
+
+      const [best, second] = ranked;
+      const candidates = ranked.slice(0, MAX_CANDIDATES).map(({ doc, similarity }) => ({
+        id: doc.row.id,
+        problem_statement: doc.row.problem_statement,
+        similarity
+      }));
+
+      if (!best || best.similarity < REVIEW_THRESHOLD) {
+        return { decision: 'new', existing: null, similarity: best?.similarity || 0, candidates };
+      }
+
+      const contested = second && second.similarity >= REVIEW_THRESHOLD
+        && best.similarity - second.similarity < AMBIGUITY_MARGIN;
+
+      return {
+        decision: best.similarity >= MATCH_THRESHOLD && !contested ? 'match' : 'ambiguous',
+        existing: best.doc.row,
+        similarity: best.similarity,
+        candidates
+      };
+    },
+
+    /**
+     * Track a pattern saved during this run so later patterns can match it
+     * @param {Object} row - complaint_patterns row
+     */
+    add(row) {
+      const index = docs.findIndex(d => d.row.id === row.id);
+      const doc = { row, terms: termCounts(row) };
+      if (index >= 0) docs[index] = doc;
+      else docs.push(doc);
+    }
+  };
+}
+
+/**
+ * Term counts of a pattern: problem statement twice, key phrases once
+ */
+function termCounts(pattern) {
+  const counts = new Map();
+  const phrases = Array.isArray(pattern.key_phrases) ? pattern.key_phrases : [];
+  const terms = [
+    ...tokenize(pattern.problem_statement),
+    ...tokenize(pattern.problem_statement),
+    ...phrases.flatMap(tokenize)
+  ];
+
+  for (const term of terms) {
+    counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  return counts;
+}
+
+function normalizeStatement(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Lowercase words without punctuation or stop words, with plural/tense suffixes trimmed
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, '')
+    .split(/\s+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Crude suffix stripping, enough for "customers"/"customer" and "selling"/"sell"
+ */
+function stem(word) {
+  if (word.length <= 4) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('ing')) return word.slice(0, -3);
+  if (word.endsWith('ed')) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Smoothed IDF of every term across documents
+ */
+function inverseDocumentFrequency(documents) {
+  const df = new Map();
+  for (const terms of documents) {
+    for (const term of terms.keys()) {
+      df.set(term, (df.get(term) || 0) + 1);
+    }
+  }
+
+  const idf = new Map();
+  for (const [term, count] of df) {
+    idf.set(term, Math.log((1 + documents.length) / (1 + count)) + 1);
+  }
+  return idf;
+}
+
+function weigh(terms, idf) {
+  const vector = new Map();
+  for (const [term, count] of terms) {
+    vector.set(term, count * (idf.get(term) || 0));
+  }
+  return vector;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  for (const [term, weight] of a) {
+    dot += weight * (b.get(term) || 0);
+  }
+
+  const norm = v => Math.sqrt([...v.values()].reduce((sum, w) => sum + w * w, 0));
+  const denominator = norm(a) * norm(b);
+  return denominator > 0 ? dot / denominator : 0;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
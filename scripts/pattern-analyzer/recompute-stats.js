@@ -0,0 +1,69 @@
+/**
+ * Recompute Pattern Statistics
+ * Repairs frequency, average pain, first/last seen and platforms of every
+ * complaint pattern from its linked complaints (see stats.js). Patterns saved
+ * before the recompute existed may have inflated counts or a pain score from
+ * a single week.
+ *
+ * Usage:
+ *   node recompute-stats.js              # Recompute and save every pattern
+ *   node recompute-stats.js --dry-run    # Report what would change, write nothing
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+import { recomputePatternStats } from './stats.js';
+
+// Parse CLI arguments
+const args = process.argv.slice(2);
+const isDryRun = args.includes('--dry-run');
+
+// Changed patterns listed in the report
+const MAX_LISTED = 20;
+
+// Configuration
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('❌ SUPABASE_URL and SUPABASE_SERVICE_KEY are required');
+  process.exit(1);
+}
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+/**
+ * Main execution
+ */
+async function main() {
+  console.log('🧮 Pattern Statistics Recompute Starting...\n');
+  if (isDryRun) console.log('Mode: dry run (no writes)\n');
+
+  const totals = await recomputePatternStats(supabase, { dryRun: isDryRun });
+
+  for (const change of totals.changes.slice(0, MAX_LISTED)) {
+    const { before, after } = change;
+    console.log(`  ${change.problem_statement.slice(0, 70)}`);
+    console.log(`     Frequency: ${before.frequency_count} → ${after.frequency_count} | Pain: ${before.avg_pain_score ?? '-'} → ${after.avg_pain_score ?? '-'} | Platforms: ${after.platforms.join(', ') || 'none'}`);
+  }
+  if (totals.changes.length > MAX_LISTED) {
+    console.log(`  ...and ${totals.changes.length - MAX_LISTED} more`);
+  }
+
+  console.log('\n📊 Summary:');
+  console.log(`  Patterns scanned: ${totals.scanned}`);
+  console.log(`  Stats out of date: ${totals.changes.length}`);
+  if (!isDryRun) {
+    console.log(`  Updated: ${totals.updated}`);
+    console.log(`  Failed: ${totals.failed}`);
+  }
+  console.log('\n✨ Done!');
+
+  if (totals.failed > 0) process.exit(1);
+}
+
+// Run
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,184 @@
+/**
+ * Pattern Statistics
+ * Derives each pattern's statistics from the complaints in its complaint_ids,
+ * so they stay correct however often a pattern is updated:
+ *
+ *   frequency_count  linked complaints that still exist (ids are de-duplicated;
+ *                    ids of deleted complaints, and values that aren't UUIDs
+ *                    such as ids made up by older analyzer runs, are dropped)
+ *   avg_pain_score   mean pain over every linked complaint, so each week weighs
+ *                    in by the number of complaints it contributed
+ *   first_seen_at    earliest post date (created_at when the post date is unknown)
+ *   last_seen_at     latest post date
+ *   platforms        platforms of the linked complaints
+ *
+ * Run after each analysis for the patterns it touched, and by
+ * recompute-stats.js for the whole table.
+ */
+
+const PAGE_SIZE = 500;
+
+// Complaint ids per .in() filter, keeps request URLs short
+const ID_CHUNK_SIZE = 200;
+
+// complaints.id is a UUID; anything else would make Postgres reject the whole .in() filter
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const PATTERN_COLUMNS = 'id, problem_statement, complaint_ids, frequency_count, avg_pain_score, first_seen_at, last_seen_at, platforms';
+
+/**
+ * Recompute statistics for patterns
+ * @param {Object} supabase - Supabase client
+ * @param {Object} [options]
+ * @param {string[]|null} [options.patternIds] - Patterns to recompute (default: all)
+ * @param {boolean} [options.dryRun] - Report changes without writing them
+ * @returns {Promise<{scanned: number, updated: number, failed: number, changes: Array<{id, problem_statement, before, after}>}>}
+ */
+export async function recomputePatternStats(supabase, { patternIds = null, dryRun = false } = {}) {
+  const totals = { scanned: 0, updated: 0, failed: 0, changes: [] };
+
+  for await (const patterns of patternPages(supabase, patternIds)) {
+    const complaintIds = [...new Set(patterns.flatMap(complaintIdsOf))];
+    const complaintsById = await loadComplaints(supabase, complaintIds);
+
+    for (const pattern of patterns) {
+      totals.scanned++;
+
+      const after = computeStats(pattern, complaintsById);
+      const before = pick(pattern, Object.keys(after));
+      if (sameStats(before, after)) continue;
+
+      totals.changes.push({ id: pattern.id, problem_statement: pattern.problem_statement, before, after });
+      if (dryRun) continue;
+
+      const { error } = await supabase
+        .from('complaint_patterns')
+        .update(after)
+        .eq('id', pattern.id);
+
+      if (error) {
+        console.log(`  Warning: Could not update stats for "${pattern.problem_statement}": ${error.message}`);
+        totals.failed++;
+        continue;
+      }
+      totals.updated++;
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Statistics of a pattern from its linked complaints
+ * @param {Object} pattern - complaint_patterns row
+ * @param {Map<string, Object>} complaintsById - Linked complaints
+ * @returns {{complaint_ids, frequency_count, avg_pain_score, first_seen_at, last_seen_at, platforms}}
+ */
+export function computeStats(pattern, complaintsById) {
+  const members = complaintIdsOf(pattern).map(id => complaintsById.get(id)).filter(Boolean);
+  const painScores = members.map(c => c.pain_score).filter(s => typeof s === 'number');
+  const dates = members
+    .map(c => c.post_date || c.created_at)
+    .filter(Boolean)
+    .map(d => new Date(d).toISOString())
+    .sort();
+
+  return {
+    complaint_ids: members.map(c => c.id),
+    frequency_count: members.length,
+    avg_pain_score: painScores.length > 0
+      ? Math.round(painScores.reduce((a, b) => a + b, 0) / painScores.length * 10) / 10
+      : null,
+    // Patterns with no surviving complaints keep their dates
+    first_seen_at: dates[0] || pattern.first_seen_at,
+    last_seen_at: dates[dates.length - 1] || pattern.last_seen_at,
+    platforms: [...new Set(members.map(c => c.platform).filter(Boolean))].sort()
+  };
+}
+
+/**
+ * Patterns, a page at a time
+ */
+async function* patternPages(supabase, patternIds) {
+  if (patternIds) {
+    for (let i = 0; i < patternIds.length; i += ID_CHUNK_SIZE) {
+      const { data, error } = await supabase
+        .from('complaint_patterns')
+        .select(PATTERN_COLUMNS)
+        .in('id', patternIds.slice(i, i + ID_CHUNK_SIZE));
+
+      if (error) throw new Error(`Failed to load patterns: ${error.message}`);
+      if (data && data.length > 0) yield data;
+    }
+    return;
+  }
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('complaint_patterns')
+      .select(PATTERN_COLUMNS)
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw new Error(`Failed to load patterns: ${error.message}`);
+    if (data && data.length > 0) yield data;
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+}
+
+/**
+ * Load complaints by id. Throws rather than returning a partial map, since a
+ * missing complaint would be dropped from its pattern.
+ * @param {Object} supabase - Supabase client
+ * @param {string[]} ids - Complaint ids
+ * @returns {Promise<Map<string, Object>>} {id, pain_score, platform, post_date, created_at} keyed by id
+ */
+export async function loadComplaints(supabase, ids) {
+  const byId = new Map();
+  ids = ids.filter(isComplaintId);
+
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from('complaints')
+      .select('id, pain_score, platform, post_date, created_at')
+      .in('id', ids.slice(i, i + ID_CHUNK_SIZE));
+
+    if (error) throw new Error(`Failed to load complaints: ${error.message}`);
+    for (const complaint of data || []) {
+      byId.set(complaint.id, complaint);
+    }
+  }
+
+  return byId;
+}
+
+/**
+ * A pattern's distinct complaint ids, without values that can't be a complaint id
+ * @param {Object} pattern - complaint_patterns row
+ * @returns {string[]}
+ */
+export function complaintIdsOf(pattern) {
+  return [...new Set((pattern.complaint_ids || []).filter(isComplaintId))];
+}
+
+function isComplaintId(id) {
+  return typeof id === 'string' && UUID_PATTERN.test(id);
+}
+
+function pick(row, keys) {
+  return Object.fromEntries(keys.map(key => [key, row[key]]));
+}
+
+/**
+ * Whether stored stats already match recomputed ones
+ */
+function sameStats(before, after) {
+  const time = d => (d ? new Date(d).getTime() : null);
+
+  return JSON.stringify(before.complaint_ids || []) === JSON.stringify(after.complaint_ids)
+    && before.frequency_count === after.frequency_count
+    && (before.avg_pain_score == null ? null : Number(before.avg_pain_score)) === after.avg_pain_score
+    && time(before.first_seen_at) === time(after.first_seen_at)
+    && time(before.last_seen_at) === time(after.last_seen_at)
+    && JSON.stringify([...(before.platforms || [])].sort()) === JSON.stringify(after.platforms);
+}
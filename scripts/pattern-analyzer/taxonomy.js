@@ -0,0 +1,162 @@
+/**
+ * Complaint Taxonomy Filters and Aggregates
+ * Works on complaints.metadata.taxonomy written by complaint-discovery:
+ *   { categories: [{category, weight}], intent_stage, tools_tried, urgency }
+ * Complaints saved before the taxonomy existed count as "unknown".
+ */
+
+import { COMPLAINT_CATEGORIES, INTENT_STAGES, URGENCY_LEVELS } from '../shared/taxonomy.js';
+
+// Smallest category weight that counts as "about" a category when filtering
+const MIN_CATEGORY_WEIGHT = parseFloat(process.env.MIN_CATEGORY_WEIGHT || '0.25');
+
+// Tools kept per aggregate
+const TOP_TOOLS = 10;
+
+/**
+ * Parse taxonomy filter flags
+ *   --intent=solution_seeking,evaluating
+ *   --urgency=high
+ *   --category=sales            (any category weighted >= MIN_CATEGORY_WEIGHT)
+ * @param {string[]} args - process.argv.slice(2)
+ * @returns {{intent: string[]|null, urgency: string[]|null, category: string[]|null}}
+ */
+export function parseTaxonomyFilters(args) {
+  const list = (name, allowed) => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    if (!arg) return null;
+
+    const values = arg.slice(name.length + 3).split(',').map(v => v.trim()).filter(Boolean);
+    const unknown = values.filter(v => !allowed.includes(v));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown --${name} value(s): ${unknown.join(', ')} (expected: ${allowed.join(', ')})`);
+    }
+    return values;
+  };
+
+  return {
+    intent: list('intent', INTENT_STAGES),
+    urgency: list('urgency', URGENCY_LEVELS),
+    category: list('category', COMPLAINT_CATEGORIES)
+  };
+}
+
+/**
+ * Apply intent/urgency filters to a complaints query
+ * (category weights live in an array, so that filter runs client-side)
+ */
+export function applyTaxonomyFilters(query, filters) {
+  if (filters.intent) {
+    query = query.in('metadata->taxonomy->>intent_stage', filters.intent);
+  }
+  if (filters.urgency) {
+    query = query.in('metadata->taxonomy->>urgency', filters.urgency);
+  }
+  return query;
+}
+
+/**
+ * Keep complaints weighted towards any of the requested categories
+ */
+export function filterByCategory(complaints, categories) {
+  if (!categories) return complaints;
+
+  return complaints.filter(c => categoryWeights(c).some(
+    ({ category, weight }) => categories.includes(category) && weight >= MIN_CATEGORY_WEIGHT
+  ));
+}
+
+/**
+ * Aggregate taxonomy fields over a set of complaints
+ * @param {Object[]} complaints - complaints rows
+ * @returns {Object} { complaints, intent_stages, urgency, categories, tools_tried }
+ */
+export function summarizeTaxonomy(complaints) {
+  const summary = {
+    complaints: complaints.length,
+    intent_stages: {},
+    urgency: {},
+    categories: {},
+    tools_tried: []
+  };
+  const tools = {};
+
+  for (const complaint of complaints) {
+    const taxonomy = complaint.metadata?.taxonomy || {};
+
+    increment(summary.intent_stages, taxonomy.intent_stage || 'unknown');
+    increment(summary.urgency, taxonomy.urgency || 'unknown');
+
+    for (const { category, weight } of categoryWeights(complaint)) {
+      increment(summary.categories, category, weight);
+    }
+
+    for (const tool of taxonomy.tools_tried || []) {
+      const key = tool.trim().toLowerCase();
+      tools[key] = tools[key] || { tool: tool.trim(), count: 0 };
+      tools[key].count++;
+    }
+  }
+
+  for (const category of Object.keys(summary.categories)) {
+    summary.categories[category] = Math.round(summary.categories[category] * 100) / 100;
+  }
+
+  summary.tools_tried = Object.values(tools)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, TOP_TOOLS);
+
+  return summary;
+}
+
+/**
+ * Add a batch summary to a pattern's stored summary
+ * @param {Object|null} existing - complaint_patterns.taxonomy
+ * @param {Object} addition - From summarizeTaxonomy()
+ * @returns {Object}
+ */
+export function mergeTaxonomy(existing, addition) {
+  if (!existing) return addition;
+
+  const merged = {
+    complaints: (existing.complaints || 0) + addition.complaints,
+    intent_stages: { ...existing.intent_stages },
+    urgency: { ...existing.urgency },
+    categories: { ...existing.categories },
+    tools_tried: []
+  };
+
+  for (const key of ['intent_stages', 'urgency', 'categories']) {
+    for (const [value, count] of Object.entries(addition[key])) {
+      increment(merged[key], value, count);
+    }
+  }
+  for (const category of Object.keys(merged.categories)) {
+    merged.categories[category] = Math.round(merged.categories[category] * 100) / 100;
+  }
+
+  const tools = {};
+  for (const { tool, count } of [...(existing.tools_tried || []), ...addition.tools_tried]) {
+    const key = tool.toLowerCase();
+    tools[key] = tools[key] || { tool, count: 0 };
+    tools[key].count += count;
+  }
+  merged.tools_tried = Object.values(tools)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, TOP_TOOLS);
+
+  return merged;
+}
+
+/**
+ * Weighted categories for a complaint, falling back to its single category
+ */
+function categoryWeights(complaint) {
+  const categories = complaint.metadata?.taxonomy?.categories;
+  if (Array.isArray(categories) && categories.length > 0) return categories;
+  return [{ category: complaint.category || 'other', weight: 1 }];
+}
+
+function increment(counts, key, by = 1) {
+  counts[key] = (counts[key] || 0) + by;
+}
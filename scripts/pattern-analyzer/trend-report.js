@@ -0,0 +1,179 @@
+/**
+ * Pattern Trend Report
+ * Which complaint patterns are growing or fading week over week, with
+ * emerging and decaying patterns flagged (see trends.js)
+ *
+ * Output: patterns/weekly/<date>.md and <date>.json under OUTPUT_ROOT
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import fs from 'fs/promises';
+import path from 'path';
+
+import { computeTrends } from './trends.js';
+import { complaintIdsOf, loadComplaints } from './stats.js';
+
+// Configuration
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
+const OUTPUT_ROOT = process.env.OUTPUT_ROOT || process.cwd();
+
+// Patterns listed in the full table, fastest-moving first
+const MAX_PATTERNS = 30;
+
+const PAGE_SIZE = 1000;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('❌ SUPABASE_URL and SUPABASE_SERVICE_KEY are required');
+  process.exit(1);
+}
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+/**
+ * Main execution
+ */
+async function main() {
+  console.log('📈 Pattern Trend Report Starting...\n');
+
+  const patterns = await loadPatterns();
+  console.log(`📋 Found ${patterns.length} patterns\n`);
+
+  const complaintsById = await loadComplaints(supabase, [...new Set(patterns.flatMap(complaintIdsOf))]);
+  const trends = computeTrends(patterns, complaintsById);
+
+  const date = new Date().toISOString().split('T')[0];
+  const report = {
+    date,
+    weeks: trends.weeks,
+    activePatterns: trends.patterns.length,
+    emerging: trends.emerging,
+    decaying: trends.decaying,
+    risers: trends.risers,
+    fallers: trends.fallers,
+    patterns: trends.patterns.slice(0, MAX_PATTERNS)
+  };
+
+  await saveReport(report);
+
+  console.log('\n📊 Top Movers:');
+  for (const t of [...report.risers, ...report.fallers]) {
+    console.log(`  ${formatMover(t)}`);
+  }
+
+  // Export for GitHub Action
+  const envFile = process.env.GITHUB_ENV;
+  if (envFile) {
+    const fsSync = await import('fs');
+    fsSync.appendFileSync(envFile, `EMERGING_PATTERNS=${report.emerging.length}\n`);
+    fsSync.appendFileSync(envFile, `DECAYING_PATTERNS=${report.decaying.length}\n`);
+    if (report.risers.length > 0) {
+      fsSync.appendFileSync(envFile, `TOP_RISER=${formatMover(report.risers[0])}\n`);
+    }
+    if (report.fallers.length > 0) {
+      fsSync.appendFileSync(envFile, `TOP_FALLER=${formatMover(report.fallers[0])}\n`);
+    }
+  }
+
+  console.log('\n📊 Summary:');
+  console.log(`  Patterns active in the last ${report.weeks} weeks: ${report.activePatterns}`);
+  console.log(`  Emerging: ${report.emerging.length}`);
+  console.log(`  Decaying: ${report.decaying.length}`);
+  console.log('\n✨ Done!');
+}
+
+/**
+ * Load every pattern with its linked complaint ids
+ */
+async function loadPatterns() {
+  const patterns = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('complaint_patterns')
+      .select('id, problem_statement, category, avg_pain_score, first_seen_at, complaint_ids')
+      .order('created_at')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      console.error(`❌ Could not load patterns: ${error.message}`);
+      process.exit(1);
+    }
+
+    patterns.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return patterns;
+}
+
+/**
+ * Write the report as JSON and markdown
+ */
+async function saveReport(report) {
+  const outputDir = path.join(OUTPUT_ROOT, 'patterns/weekly');
+  await fs.mkdir(outputDir, { recursive: true });
+
+  await fs.writeFile(path.join(outputDir, `${report.date}.json`), JSON.stringify(report, null, 2), 'utf-8');
+  await fs.writeFile(path.join(outputDir, `${report.date}.md`), formatMarkdown(report), 'utf-8');
+
+  console.log(`💾 Saved: patterns/weekly/${report.date}.{json,md}`);
+}
+
+/**
+ * Render the report as markdown
+ */
+function formatMarkdown(report) {
+  const weekHeaders = Array.from({ length: report.weeks }, (_, i) => (i === 0 ? 'This wk' : `-${i} wk`));
+
+  let md = `# Pattern Trends - ${report.date}
+
+**Patterns active in the last ${report.weeks} weeks:** ${report.activePatterns}
+**Emerging:** ${report.emerging.length}
+**Decaying:** ${report.decaying.length}
+`;
+
+  md += '\n## 🌱 Emerging\n\n';
+  md += report.emerging.length > 0
+    ? report.emerging.map(t => `- **${t.problemStatement}** [${t.category}]: ${t.lastWeek} → ${t.thisWeek} complaints, pain ${t.avgPain}/10, first seen ${t.firstSeenAt?.split('T')[0] ?? '-'}`).join('\n') + '\n'
+    : '_None this week._\n';
+
+  md += '\n## 📉 Decaying\n\n';
+  md += report.decaying.length > 0
+    ? report.decaying.map(t => `- **${t.problemStatement}** [${t.category}]: ${t.weekly.slice(1).reverse().join(' → ')} → ${t.thisWeek} complaints`).join('\n') + '\n'
+    : '_None this week._\n';
+
+  md += '\n## Top Movers\n\n';
+  for (const t of [...report.risers, ...report.fallers]) {
+    md += `- ${formatMover(t)}\n`;
+  }
+  if (report.risers.length + report.fallers.length === 0) md += '_No week-over-week change._\n';
+
+  md += `\n## All Active Patterns
+
+| Pattern | Category | ${weekHeaders.reverse().join(' | ')} | Velocity | Pain | Status |
+|---------|----------|${weekHeaders.map(() => '----').join('|')}|----------|------|--------|
+`;
+  for (const t of report.patterns) {
+    md += `| ${t.problemStatement} | ${t.category} | ${[...t.weekly].reverse().join(' | ')} | ${formatVelocity(t.velocity)} | ${t.avgPain} | ${t.status} |\n`;
+  }
+
+  return md;
+}
+
+/**
+ * One-line mover summary, also used for the issue and email (no double quotes, it goes into JSON)
+ */
+function formatMover(trend) {
+  return `${formatVelocity(trend.velocity)} ${trend.problemStatement.slice(0, 60).replace(/"/g, "'")} (${trend.lastWeek} → ${trend.thisWeek})`;
+}
+
+function formatVelocity(velocity) {
+  return velocity > 0 ? `↑+${velocity}` : velocity < 0 ? `↓${velocity}` : '→0';
+}
+
+// Run
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,95 @@
+/**
+ * Pattern Trends
+ * Week-over-week movement of each complaint pattern, from the post dates of
+ * its linked complaints (created_at when the post date is unknown).
+ *
+ * Weeks are the 7-day windows ending now: week 0 is the last 7 days, week 1
+ * the 7 before that, and so on.
+ *
+ *   velocity   complaints this week minus complaints last week
+ *   emerging   first seen within NEW_PATTERN_DAYS, growing this week with at
+ *              least MIN_WEEKLY_COMPLAINTS, and average pain >= HIGH_PAIN
+ *   decaying   averaged MIN_WEEKLY_COMPLAINTS+ a week before this one, and this
+ *              week fell below DECAY_RATIO of that average
+ */
+
+import { complaintIdsOf } from './stats.js';
+
+const TREND_WEEKS = parseInt(process.env.TREND_WEEKS || '4', 10);
+
+const NEW_PATTERN_DAYS = 14;
+const MIN_WEEKLY_COMPLAINTS = 2;
+const HIGH_PAIN = 7;
+const DECAY_RATIO = 0.5;
+
+// Movers kept in each direction
+const TOP_MOVERS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Trends for every pattern
+ * @param {Object[]} patterns - complaint_patterns rows (id, problem_statement, category, avg_pain_score, first_seen_at, complaint_ids)
+ * @param {Map<string, Object>} complaintsById - Linked complaints with post_date/created_at
+ * @param {Date} [now]
+ * @returns {{weeks: number, patterns: Object[], emerging: Object[], decaying: Object[], risers: Object[], fallers: Object[]}}
+ */
+export function computeTrends(patterns, complaintsById, now = new Date()) {
+  const trends = patterns
+    .map(pattern => patternTrend(pattern, complaintsById, now))
+    .filter(t => t.weekly.some(count => count > 0));
+
+  const byVelocity = [...trends].sort((a, b) => b.velocity - a.velocity || b.avgPain - a.avgPain);
+
+  return {
+    weeks: TREND_WEEKS,
+    patterns: byVelocity,
+    emerging: byVelocity.filter(t => t.status === 'emerging'),
+    decaying: byVelocity.filter(t => t.status === 'decaying').reverse(),
+    risers: byVelocity.filter(t => t.velocity > 0).slice(0, TOP_MOVERS),
+    fallers: byVelocity.filter(t => t.velocity < 0).reverse().slice(0, TOP_MOVERS)
+  };
+}
+
+/**
+ * Weekly counts, velocity and status of one pattern
+ */
+function patternTrend(pattern, complaintsById, now) {
+  const weekly = new Array(TREND_WEEKS).fill(0);
+
+  for (const id of complaintIdsOf(pattern)) {
+    const complaint = complaintsById.get(id);
+    const date = complaint && (complaint.post_date || complaint.created_at);
+    if (!date) continue;
+
+    const week = Math.floor((now - new Date(date)) / (7 * DAY_MS));
+    if (week >= 0 && week < TREND_WEEKS) weekly[week]++;
+  }
+
+  const [thisWeek, lastWeek] = weekly;
+  const previous = weekly.slice(1);
+  const baseline = previous.length > 0 ? previous.reduce((a, b) => a + b, 0) / previous.length : 0;
+  const avgPain = Number(pattern.avg_pain_score) || 0;
+  const ageDays = pattern.first_seen_at ? (now - new Date(pattern.first_seen_at)) / DAY_MS : Infinity;
+
+  let status = 'steady';
+  if (ageDays <= NEW_PATTERN_DAYS && thisWeek >= MIN_WEEKLY_COMPLAINTS && thisWeek > lastWeek && avgPain >= HIGH_PAIN) {
+    status = 'emerging';
+  } else if (baseline >= MIN_WEEKLY_COMPLAINTS && thisWeek < baseline * DECAY_RATIO) {
+    status = 'decaying';
+  }
+
+  return {
+    id: pattern.id,
+    problemStatement: pattern.problem_statement,
+    category: pattern.category,
+    avgPain,
+    firstSeenAt: pattern.first_seen_at,
+    weekly,
+    thisWeek,
+    lastWeek,
+    velocity: thisWeek - lastWeek,
+    growth: lastWeek > 0 ? Math.round((thisWeek - lastWeek) / lastWeek * 100) / 100 : null,
+    status
+  };
+}
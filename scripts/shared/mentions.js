@@ -0,0 +1,160 @@
+/**
+ * Tool and Competitor Mentions
+ * Extracts product/company mentions with sentiment from posts processed by
+ * complaint-discovery and content-opportunity-finder and stores them in
+ * tool_mentions. Callers pass their own Anthropic/Supabase clients, so this
+ * module has no package dependencies.
+ */
+
+export const TOOL_CATEGORIES = [
+  'crm',
+  'sales_engagement',
+  'data_provider',
+  'marketing',
+  'analytics',
+  'billing',
+  'support',
+  'developer_tool',
+  'other'
+];
+
+export const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+// Posts per Claude call
+const BATCH_SIZE = 10;
+
+// Characters of each post sent to Claude
+const MAX_TEXT_LENGTH = 1500;
+
+/**
+ * Extract tool/company mentions from posts, BATCH_SIZE posts per Claude call
+ * @param {Object} anthropic - Anthropic client
+ * @param {Array<{url: string, title: string, text: string}>} posts
+ * @returns {Promise<Map<string, Object[]>>} Mentions keyed by post URL
+ */
+export async function extractMentions(anthropic, posts) {
+  const byUrl = new Map();
+
+  for (let i = 0; i < posts.length; i += BATCH_SIZE) {
+    const batch = posts.slice(i, i + BATCH_SIZE);
+
+    try {
+      const results = await extractBatch(anthropic, batch);
+      batch.forEach((post, index) => {
+        const mentions = (results[index] || []).map(normalizeMention).filter(Boolean);
+        if (mentions.length > 0) byUrl.set(post.url, mentions);
+      });
+    } catch (error) {
+      console.log(`    Warning: Mention extraction failed for ${batch.length} posts: ${error.message}`);
+    }
+  }
+
+  return byUrl;
+}
+
+/**
+ * Store a post's mentions in tool_mentions
+ * Mentions already recorded for the same post and tool are ignored.
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {Object[]} options.mentions - From extractMentions()
+ * @param {string} options.sourceAgent - complaint_discovery | content_opportunity_finder
+ * @param {string} options.platform - complaints.platform value
+ * @param {string} options.postUrl - Post URL
+ * @param {string} [options.postDate] - Post date (ISO)
+ * @param {string} [options.complaintId] - complaints.id when the post was saved as a complaint
+ * @param {Function} [options.redact] - Applied to quotes before they are stored
+ * @returns {Promise<number>} Mentions written
+ */
+export async function saveMentions(supabase, { mentions, sourceAgent, platform, postUrl, postDate = null, complaintId = null, redact = text => text }) {
+  if (!mentions || mentions.length === 0) return 0;
+
+  const rows = mentions.map(mention => ({
+    name: mention.name,
+    normalized_name: mention.normalizedName,
+    entity_type: mention.type,
+    tool_category: mention.toolCategory,
+    sentiment: mention.sentiment,
+    quote: mention.quote ? redact(mention.quote) : null,
+    source_agent: sourceAgent,
+    platform,
+    post_url: postUrl,
+    post_date: postDate,
+    complaint_id: complaintId
+  }));
+
+  const { error } = await supabase
+    .from('tool_mentions')
+    .upsert(rows, {
+      onConflict: 'post_url,normalized_name',
+      ignoreDuplicates: true
+    });
+
+  if (error) {
+    console.log(`    Warning: Could not save mentions for ${postUrl}: ${error.message}`);
+    return 0;
+  }
+
+  return rows.length;
+}
+
+/**
+ * One Claude call for a batch of posts
+ * @returns {Promise<Array<Object[]>>} Raw mentions per post, by batch index
+ */
+async function extractBatch(anthropic, posts) {
+  const postList = posts.map((post, index) => `### POST ${index}
+Title: ${post.title || '(no title)'}
+Text: ${(post.text || '(no body text)').slice(0, MAX_TEXT_LENGTH)}`).join('\n\n');
+
+  const prompt = `Extract every software product, service or company mentioned in these posts from B2B SaaS founders.
+
+${postList}
+
+## RULES
+- Only named products/companies (e.g. "Salesforce", "Apollo", "Clay"), not generic terms like "a CRM" or "cold email"
+- Use the canonical product name ("HubSpot", not "hubspot crm")
+- Skip the poster's own product when they are launching or promoting it
+- Sentiment is the poster's attitude towards that tool: ${SENTIMENTS.join(', ')}
+- Tool category: ${TOOL_CATEGORIES.join(', ')}
+- Quote: the verbatim words (max 200 characters) where the tool is mentioned
+
+## OUTPUT FORMAT
+Respond in JSON only, one entry per post index (use [] for posts with no mentions):
+{
+  "0": [{"name": "Apollo", "type": "product", "toolCategory": "data_provider", "sentiment": "negative", "quote": "Apollo's data is 40% bounces"}],
+  "1": []
+}`;
+
+  const response = await anthropic.messages.create({
+    model: 'claude-sonnet-4-20250514',
+    max_tokens: 2000,
+    messages: [{ role: 'user', content: prompt }]
+  });
+
+  const jsonMatch = response.content[0].text.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('Response did not contain a JSON object');
+  }
+
+  const parsed = JSON.parse(jsonMatch[0]);
+  return posts.map((_, index) => (Array.isArray(parsed[index]) ? parsed[index] : []));
+}
+
+/**
+ * Validate and normalize one mention, or null if unusable
+ */
+function normalizeMention(mention) {
+  const name = typeof mention?.name === 'string' ? mention.name.trim() : '';
+  const normalizedName = name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  if (!normalizedName || name.length > 100) return null;
+
+  return {
+    name,
+    normalizedName,
+    type: mention.type === 'company' ? 'company' : 'product',
+    toolCategory: TOOL_CATEGORIES.includes(mention.toolCategory) ? mention.toolCategory : 'other',
+    sentiment: SENTIMENTS.includes(mention.sentiment) ? mention.sentiment : 'neutral',
+    quote: typeof mention.quote === 'string' ? mention.quote.trim().slice(0, 200) : null
+  };
+}
@@ -0,0 +1,221 @@
+/**
+ * HN Targeting Config
+ * Shared loader for the search terms and keywords used by complaint-discovery
+ * and content-opportunity-finder (see hn-targeting.json)
+ *
+ * CLI overrides (both agents):
+ *   --targeting=<path>     Use a different targeting file (or HN_TARGETING_PATH)
+ *   --terms=a,b,c          Replace the search terms for this run
+ *   --lookback-days=N      Replace the lookback window
+ *   --hits-per-page=N      Replace every hitsPerPage value
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { COMPLAINT_CATEGORIES } from './taxonomy.js';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+
+export const DEFAULT_TARGETING_PATH = path.join(__dirname, 'hn-targeting.json');
+
+// Keyword lists each section must define
+const REQUIRED_KEYWORDS = {
+  complaintDiscovery: ['complaintKeywords', 'businessKeywords'],
+  contentOpportunityFinder: ['questionKeywords', 'businessKeywords']
+};
+
+const SECTIONS = Object.keys(REQUIRED_KEYWORDS);
+
+// Loaded sections, keyed by section name
+const active = new Map();
+
+/**
+ * Parse targeting CLI arguments
+ * @param {string[]} args - process.argv.slice(2)
+ * @returns {{file: string, overrides: Object}}
+ */
+export function parseTargetingArgs(args) {
+  const value = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+
+  const overrides = {};
+
+  const terms = value('terms');
+  if (terms !== undefined) {
+    overrides.terms = terms.split(',').map(t => t.trim()).filter(Boolean);
+  }
+
+  const lookbackDays = value('lookback-days');
+  if (lookbackDays !== undefined) {
+    overrides.lookbackDays = Number(lookbackDays);
+  }
+
+  const hitsPerPage = value('hits-per-page');
+  if (hitsPerPage !== undefined) {
+    overrides.hitsPerPage = Number(hitsPerPage);
+  }
+
+  return {
+    file: value('targeting') || process.env.HN_TARGETING_PATH || DEFAULT_TARGETING_PATH,
+    overrides
+  };
+}
+
+/**
+ * Load, override and validate one section of a targeting file
+ * @param {string} section - complaintDiscovery | contentOpportunityFinder
+ * @param {Object} [options]
+ * @param {string} [options.file] - Targeting file path
+ * @param {Object} [options.overrides] - From parseTargetingArgs()
+ * @returns {{config: Object, hash: string, file: string}}
+ */
+export function loadTargeting(section, { file = DEFAULT_TARGETING_PATH, overrides = {} } = {}) {
+  if (!SECTIONS.includes(section)) {
+    throw new Error(`Unknown targeting section "${section}"`);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not read targeting file ${file}: ${error.message}`);
+  }
+
+  if (!raw[section]) {
+    throw new Error(`Targeting file ${file} has no "${section}" section`);
+  }
+
+  const config = applyOverrides(structuredClone(raw[section]), overrides);
+
+  const errors = validateSection(section, config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid targeting config (${file} → ${section}):\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const loaded = { config, hash: hashConfig(config), file };
+  active.set(section, loaded);
+  return loaded;
+}
+
+/**
+ * Get the active config for a section, loading the default file on first use
+ * @param {string} section - complaintDiscovery | contentOpportunityFinder
+ * @returns {Object} Section config
+ */
+export function getTargeting(section) {
+  if (!active.has(section)) {
+    loadTargeting(section);
+  }
+  return active.get(section).config;
+}
+
+/**
+ * Apply CLI overrides to a section
+ */
+function applyOverrides(config, overrides) {
+  if (overrides.terms) {
+    config.searchTerms = overrides.terms.map(term =>
+      config.searchTerms?.find(t => t.term.toLowerCase() === term.toLowerCase()) || { term }
+    );
+  }
+
+  if (overrides.lookbackDays !== undefined) {
+    config.lookbackDays = overrides.lookbackDays;
+  }
+
+  if (overrides.hitsPerPage !== undefined) {
+    for (const key of Object.keys(config.hitsPerPage || {})) {
+      config.hitsPerPage[key] = overrides.hitsPerPage;
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Validate a section
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateSection(section, config) {
+  const errors = [];
+
+  for (const key of REQUIRED_KEYWORDS[section]) {
+    if (!Array.isArray(config[key]) || config[key].length === 0) {
+      errors.push(`"${key}" must be a non-empty array`);
+    }
+  }
+
+  if (!Number.isInteger(config.lookbackDays) || config.lookbackDays < 1 || config.lookbackDays > 365) {
+    errors.push('"lookbackDays" must be an integer from 1 to 365');
+  }
+
+  if (!config.hitsPerPage || typeof config.hitsPerPage !== 'object') {
+    errors.push('"hitsPerPage" must be an object');
+  } else {
+    for (const [key, value] of Object.entries(config.hitsPerPage)) {
+      if (!Number.isInteger(value) || value < 1 || value > 1000) {
+        errors.push(`"hitsPerPage.${key}" must be an integer from 1 to 1000`);
+      }
+    }
+  }
+
+  if (!Array.isArray(config.searchTerms) || config.searchTerms.length === 0) {
+    errors.push('"searchTerms" must be a non-empty array');
+  } else {
+    config.searchTerms.forEach((entry, i) => {
+      if (!entry || typeof entry.term !== 'string' || !entry.term.trim()) {
+        errors.push(`"searchTerms[${i}].term" must be a non-empty string`);
+      }
+      if (entry?.categoryHint !== undefined && !COMPLAINT_CATEGORIES.includes(entry.categoryHint)) {
+        errors.push(`"searchTerms[${i}].categoryHint" must be one of: ${COMPLAINT_CATEGORIES.join(', ')}`);
+      }
+    });
+  }
+
+  for (const [key, value] of Object.entries(config)) {
+    if (key.endsWith('Keywords') && Array.isArray(value)) {
+      if (!value.every(kw => typeof kw === 'string' && kw.trim())) {
+        errors.push(`"${key}" must only contain non-empty strings`);
+      }
+    }
+  }
+
+  if (config.scoringKeywords) {
+    for (const [key, value] of Object.entries(config.scoringKeywords)) {
+      if (!Array.isArray(value) || !value.every(kw => typeof kw === 'string' && kw.trim())) {
+        errors.push(`"scoringKeywords.${key}" must be an array of non-empty strings`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Short, stable hash of a config (key order doesn't matter)
+ */
+function hashConfig(config) {
+  return crypto
+    .createHash('sha256')
+    .update(stableStringify(config))
+    .digest('hex')
+    .slice(0, 12);
+}
+
+/**
+ * JSON.stringify with sorted object keys
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
@@ -0,0 +1,17 @@
+/**
+ * Complaint Taxonomy
+ * Allowed values for the structured fields complaint-discovery extracts and
+ * pattern-analyzer filters and aggregates on
+ */
+
+// Allowed values of the complaints.category CHECK constraint
+export const COMPLAINT_CATEGORIES = ['validation', 'sales', 'product', 'hiring', 'marketing', 'fundraising', 'operations', 'other'];
+
+// Buying-intent stage, from venting to comparing vendors (metadata.taxonomy.intent_stage)
+export const INTENT_STAGES = ['unaware', 'problem_aware', 'solution_seeking', 'evaluating'];
+
+// Stages where the poster is actively shopping for a fix
+export const SHOPPING_STAGES = ['solution_seeking', 'evaluating'];
+
+// How soon the poster needs the problem solved (metadata.taxonomy.urgency)
+export const URGENCY_LEVELS = ['low', 'medium', 'high'];
@@ -0,0 +1,307 @@
+/**
+ * Watchlist Agent
+ * Watches what's said about the companies we've built ICP scenarios for
+ * (linkedin-processor → scenarios.json) and explains why each mention matters
+ * for outreach
+ *
+ * Usage:
+ *   node index.js                          # Sources from WATCHLIST_SOURCES (default: hacker_news)
+ *   node index.js --sources=hacker_news,reddit
+ *   node index.js --dry-run                # Search only, no Claude summaries or files
+ *
+ * Environment:
+ *   FRONTEND_SCENARIOS_PATH   - scenarios.json (default: ../frontend/data/scenarios.json)
+ *   WATCHLIST_LOOKBACK_HOURS  - Search window (default: 24)
+ *
+ * Output: watchlist/daily/<date>.json under OUTPUT_ROOT
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { SOURCES, getSources } from './sources.js';
+
+const anthropic = new Anthropic();
+
+// Get script directory and infra root
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const INFRA_ROOT = path.resolve(__dirname, '../..');
+const OUTPUT_ROOT = process.env.OUTPUT_ROOT || INFRA_ROOT;
+const SCENARIOS_PATH = process.env.FRONTEND_SCENARIOS_PATH ||
+  path.join(INFRA_ROOT, '..', 'frontend', 'data', 'scenarios.json');
+const LOOKBACK_HOURS = parseInt(process.env.WATCHLIST_LOOKBACK_HOURS || '24', 10);
+
+// Parse CLI arguments
+const args = process.argv.slice(2);
+const isDryRun = args.includes('--dry-run');
+const sourcesArg = args.find(a => a.startsWith('--sources='));
+const SOURCE_IDS = (sourcesArg ? sourcesArg.split('=')[1] : (process.env.WATCHLIST_SOURCES || 'hacker_news'))
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+// Mentions kept per watched term per source, newest first
+const MAX_MATCHES_PER_TERM = 10;
+
+// Reported URLs remembered across runs
+const MAX_SEEN_URLS = 1000;
+
+/**
+ * Main execution
+ */
+async function main() {
+  console.log('👀 Watchlist Agent Starting...\n');
+
+  let sources;
+  try {
+    sources = getSources(SOURCE_IDS);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const watchlist = await loadWatchlist();
+  if (watchlist.length === 0) {
+    console.log('No scenarios to watch. Exiting.');
+    return;
+  }
+
+  console.log(`Scenarios: ${SCENARIOS_PATH}`);
+  console.log(`Watching ${watchlist.length} companies on ${sources.map(s => s.label).join(', ')}`);
+  console.log(`Window: last ${LOOKBACK_HOURS} hours\n`);
+
+  const since = Math.floor(Date.now() / 1000) - LOOKBACK_HOURS * 60 * 60;
+  const seen = await loadSeenUrls();
+  const queued = new Set();
+  const candidates = [];
+
+  for (const entry of watchlist) {
+    for (const source of sources) {
+      for (const { term, matchedOn } of entry.terms) {
+        try {
+          const results = await source.search(term, since);
+          const matches = results
+            .filter(result => !seen.has(result.url) && !queued.has(result.url) && mentionsTerm(result, term))
+            .slice(0, MAX_MATCHES_PER_TERM);
+
+          if (matches.length > 0) {
+            console.log(`  ${entry.company}: ${matches.length} ${source.label} mention(s) of "${term}"`);
+          }
+
+          for (const match of matches) {
+            queued.add(match.url);
+            candidates.push({ entry, term, matchedOn, match });
+          }
+        } catch (error) {
+          console.error(`  ✗ ${source.label} search for "${term}" failed: ${error.message}`);
+        }
+
+        await sleep(500); // Rate limiting
+      }
+    }
+  }
+
+  console.log(`\n📋 Found ${candidates.length} candidate mentions\n`);
+
+  if (isDryRun) {
+    for (const { entry, match } of candidates) {
+      console.log(`  [${entry.company}] ${match.title.slice(0, 60) || match.text.slice(0, 60)} (${match.url})`);
+    }
+    console.log('\n🏃 Dry run complete. Nothing summarized or saved.');
+    return;
+  }
+
+  // Summarize each candidate; Claude also drops mentions of a different company with the same name.
+  // A mention is only remembered once it has been summarized, so failed calls are retried next run.
+  const matches = [];
+  for (const candidate of candidates) {
+    const summary = await summarizeMatch(candidate);
+    if (summary) {
+      seen.add(candidate.match.url);
+    }
+    if (summary?.relevant) {
+      matches.push(formatMatch(candidate, summary.whyItMatters));
+    }
+    await sleep(500); // Rate limiting
+  }
+
+  console.log(`🎯 ${matches.length} relevant mentions\n`);
+
+  await saveMatches(matches, watchlist, sources);
+  await saveSeenUrls(seen);
+
+  // Export for GitHub Action
+  const envFile = process.env.GITHUB_ENV;
+  if (envFile) {
+    const fsSync = await import('fs');
+    fsSync.appendFileSync(envFile, `WATCHLIST_MATCHES=${matches.length}\n`);
+    fsSync.appendFileSync(envFile, `WATCHLIST_COMPANIES=${new Set(matches.map(m => m.company)).size}\n`);
+  }
+
+  console.log('\n✨ Done!');
+}
+
+/**
+ * Build the watchlist from scenarios.json
+ * Each scenario contributes its company name and, when recorded, its founders.
+ * @returns {Promise<Array<{company, slug, scenario, terms}>>}
+ */
+async function loadWatchlist() {
+  let scenarios;
+  try {
+    scenarios = JSON.parse(await fs.readFile(SCENARIOS_PATH, 'utf-8'));
+  } catch (error) {
+    console.error(`❌ Could not load scenarios from ${SCENARIOS_PATH}: ${error.message}`);
+    process.exit(1);
+  }
+
+  return scenarios
+    .filter(s => s.company && s.slug)
+    .map(s => ({
+      company: s.company,
+      slug: s.slug,
+      scenario: { title: s.title, persona: s.persona, worstCase: s.worstCase },
+      terms: [
+        { term: s.company, matchedOn: 'company' },
+        ...(s.founders || []).filter(Boolean).map(name => ({ term: name, matchedOn: 'founder' }))
+      ]
+    }));
+}
+
+/**
+ * Whether a result actually contains the term as a whole word
+ * (search APIs also return fuzzy and partial matches)
+ */
+function mentionsTerm(result, term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9])${escaped}([^a-z0-9]|$)`, 'i').test(`${result.title} ${result.text}`);
+}
+
+/**
+ * Ask Claude whether a mention is about the watched company and why it matters
+ * @returns {Promise<{relevant: boolean, whyItMatters: string}|null>}
+ */
+async function summarizeMatch({ entry, term, matchedOn, match }) {
+  const prompt = `We sell Revenue Intelligence to B2B SaaS founders and track companies we plan to reach out to. Decide whether this ${SOURCES[match.source].label} ${match.type === 'comment' ? 'comment' : 'post'} is about the watched company${matchedOn === 'founder' ? ' or its founder' : ''}, and if so explain why it matters for outreach.
+
+## WATCHED COMPANY
+Company: ${entry.company}
+${matchedOn === 'founder' ? `Founder: ${term}\n` : ''}Our ICP scenario: ${entry.scenario.title || 'N/A'}
+Buyer persona: ${entry.scenario.persona || 'N/A'}
+Their worst case: ${entry.scenario.worstCase || 'N/A'}
+
+## MENTION
+Title: ${match.title || '(none)'}
+Text: ${match.text.slice(0, 2000) || '(no body text)'}
+Author: ${match.author}
+
+## OUTPUT FORMAT
+Respond in JSON only:
+{
+  "relevant": true/false,
+  "whyItMatters": "1-2 sentences: what this reveals (launch, hiring, funding, customer complaint, competitor comparison, founder opinion...) and how to use it as a timely, specific reason to reach out"
+}
+
+Set "relevant" to false when the text is about something else that shares the name.`;
+
+  try {
+    const response = await anthropic.messages.create({
+      model: 'claude-sonnet-4-20250514',
+      max_tokens: 300,
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    const jsonMatch = response.content[0].text.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) return null;
+
+    const summary = JSON.parse(jsonMatch[0]);
+    if (typeof summary.relevant !== 'boolean') return null;
+    return { relevant: summary.relevant, whyItMatters: String(summary.whyItMatters || '').trim() };
+  } catch (error) {
+    console.error(`    Error summarizing ${match.url}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Shape a relevant candidate for the daily file
+ */
+function formatMatch({ entry, term, matchedOn, match }, whyItMatters) {
+  return {
+    company: entry.company,
+    slug: entry.slug,
+    matchedTerm: term,
+    matchedOn,
+    source: match.source,
+    type: match.type,
+    title: match.title,
+    excerpt: match.text.slice(0, 500),
+    url: match.url,
+    author: match.author,
+    points: match.points,
+    comments: match.comments,
+    createdAt: match.createdAt,
+    whyItMatters
+  };
+}
+
+/**
+ * Save matches to watchlist/daily/<date>.json
+ */
+async function saveMatches(matches, watchlist, sources) {
+  const outputDir = path.join(OUTPUT_ROOT, 'watchlist/daily');
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const date = new Date().toISOString().split('T')[0];
+  const filename = `${date}.json`;
+
+  const output = {
+    date,
+    sources: sources.map(s => s.id),
+    lookbackHours: LOOKBACK_HOURS,
+    companiesWatched: watchlist.length,
+    totalMatches: matches.length,
+    byCompany: matches.reduce((counts, m) => ({ ...counts, [m.slug]: (counts[m.slug] || 0) + 1 }), {}),
+    matches
+  };
+
+  await fs.writeFile(path.join(outputDir, filename), JSON.stringify(output, null, 2), 'utf-8');
+  console.log(`💾 Saved: watchlist/daily/${filename}`);
+}
+
+/**
+ * Load URLs reported by earlier runs
+ */
+async function loadSeenUrls() {
+  const historyPath = path.join(OUTPUT_ROOT, 'watchlist/seen-urls.json');
+  try {
+    const data = JSON.parse(await fs.readFile(historyPath, 'utf-8'));
+    return new Set(data.urls || []);
+  } catch {
+    return new Set();
+  }
+}
+
+/**
+ * Save reported URLs, keeping the most recent MAX_SEEN_URLS
+ */
+async function saveSeenUrls(seen) {
+  const historyPath = path.join(OUTPUT_ROOT, 'watchlist/seen-urls.json');
+  const urls = [...seen].slice(-MAX_SEEN_URLS);
+  await fs.writeFile(historyPath, JSON.stringify({ urls }, null, 2));
+}
+
+/**
+ * Sleep helper
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Run
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
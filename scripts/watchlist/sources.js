@@ -0,0 +1,114 @@
+/**
+ * Watchlist Sources
+ * Each source searches one platform for a term posted since a unix timestamp
+ * and returns normalized mentions:
+ *   {source, type, title, text, url, author, points, comments, createdAt}
+ *
+ * Add a platform by adding an entry to SOURCES; enable it with WATCHLIST_SOURCES.
+ */
+
+// HN Algolia API base
+const HN_API = 'https://hn.algolia.com/api/v1';
+
+// Reddit public JSON base
+const REDDIT_API = 'https://www.reddit.com';
+
+// Reddit rejects requests without a descriptive User-Agent
+const USER_AGENT = 'andru-watchlist/1.0';
+
+// Results per search request
+const HITS_PER_SEARCH = 50;
+
+export const SOURCES = {
+  hacker_news: {
+    label: 'Hacker News',
+
+    /**
+     * Stories and comments mentioning a term, newest first
+     */
+    async search(term, since) {
+      const url = `${HN_API}/search_by_date?query=${encodeURIComponent(term)}&tags=(story,comment)&numericFilters=created_at_i>${since}&hitsPerPage=${HITS_PER_SEARCH}`;
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HN search failed: ${response.status}`);
+      }
+      const data = await response.json();
+
+      return (data.hits || []).map(hit => {
+        const isComment = (hit._tags || []).includes('comment');
+        return {
+          source: 'hacker_news',
+          type: isComment ? 'comment' : 'story',
+          title: isComment ? (hit.story_title || '') : (hit.title || ''),
+          text: stripHtml(isComment ? (hit.comment_text || '') : (hit.story_text || '')),
+          url: `https://news.ycombinator.com/item?id=${hit.objectID}`,
+          author: hit.author || '[unknown]',
+          points: hit.points || 0,
+          comments: hit.num_comments || 0,
+          createdAt: new Date(hit.created_at_i * 1000).toISOString()
+        };
+      });
+    }
+  },
+
+  reddit: {
+    label: 'Reddit',
+
+    /**
+     * Site-wide Reddit search for a term, newest first
+     */
+    async search(term, since) {
+      // Reddit only filters by coarse windows; the exact cutoff is applied below
+      const window = Date.now() / 1000 - since > 24 * 60 * 60 ? 'week' : 'day';
+      const url = `${REDDIT_API}/search.json?q=${encodeURIComponent(`"${term}"`)}&sort=new&t=${window}&limit=${HITS_PER_SEARCH}`;
+      const response = await fetch(url, { headers: { 'User-Agent': USER_AGENT } });
+      if (!response.ok) {
+        throw new Error(`Reddit search failed: ${response.status}`);
+      }
+      const data = await response.json();
+
+      return (data.data?.children || [])
+        .map(child => child.data)
+        .filter(post => post && post.created_utc > since)
+        .map(post => ({
+          source: 'reddit',
+          type: `r/${post.subreddit}`,
+          title: post.title || '',
+          text: post.selftext || '',
+          url: `https://www.reddit.com${post.permalink}`,
+          author: post.author || '[unknown]',
+          points: post.score || 0,
+          comments: post.num_comments || 0,
+          createdAt: new Date(post.created_utc * 1000).toISOString()
+        }));
+    }
+  }
+};
+
+/**
+ * Resolve source ids (comma-separated) to source entries
+ * @throws {Error} On unknown ids
+ */
+export function getSources(ids) {
+  const unknown = ids.filter(id => !SOURCES[id]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown watchlist source(s): ${unknown.join(', ')} (available: ${Object.keys(SOURCES).join(', ')})`);
+  }
+  return ids.map(id => ({ id, ...SOURCES[id] }));
+}
+
+/**
+ * Strip HTML tags and decode common entities
+ */
+function stripHtml(html) {
+  return html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#x27;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
@@ -0,0 +1,20 @@
+-- ===============================================
+-- COMPLAINT SCRAPE RUNS - INCREMENTAL SCRAPING
+-- Date: 2025-11-23
+-- Purpose: Track per-term high-water marks and skipped posts so
+--          complaint-discovery only sends new posts to Claude
+-- ===============================================
+
+ALTER TABLE complaint_scrape_runs
+  ADD COLUMN IF NOT EXISTS high_water_marks JSONB DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS posts_skipped_seen INTEGER DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS posts_skipped_existing INTEGER DEFAULT 0;
+
+COMMENT ON COLUMN complaint_scrape_runs.high_water_marks IS
+  'Map of search term -> newest post timestamp (unix seconds) seen by this run';
+
+COMMENT ON COLUMN complaint_scrape_runs.posts_skipped_seen IS
+  'Posts dropped because they were at or below the previous run''s high-water mark';
+
+COMMENT ON COLUMN complaint_scrape_runs.posts_skipped_existing IS
+  'Posts dropped because their post_url was already in complaints';
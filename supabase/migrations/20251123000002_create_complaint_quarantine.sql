@@ -0,0 +1,62 @@
+-- ===============================================
+-- COMPLAINT QUARANTINE
+-- Date: 2025-11-23
+-- Purpose: Hold posts whose Claude analysis failed schema validation
+--          (after one repair attempt) or whose complaints upsert failed,
+--          so they can be inspected instead of silently dropped
+-- ===============================================
+
+CREATE TABLE IF NOT EXISTS complaint_quarantine (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+
+    -- Source information
+    scrape_run_id UUID REFERENCES complaint_scrape_runs(id) ON DELETE SET NULL,
+    platform TEXT NOT NULL,
+    post_url TEXT NOT NULL,
+
+    -- Why it was quarantined
+    reason TEXT NOT NULL CHECK (reason IN ('invalid_analysis', 'upsert_failed')),
+    errors JSONB DEFAULT '[]'::jsonb,
+
+    -- What we had at the time
+    post JSONB DEFAULT '{}'::jsonb,
+    raw_output TEXT,
+
+    -- Review status
+    is_resolved BOOLEAN DEFAULT false,
+
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_complaint_quarantine_reason ON complaint_quarantine(reason);
+CREATE INDEX IF NOT EXISTS idx_complaint_quarantine_is_resolved ON complaint_quarantine(is_resolved);
+CREATE INDEX IF NOT EXISTS idx_complaint_quarantine_created_at ON complaint_quarantine(created_at DESC);
+
+-- Per-run counters
+ALTER TABLE complaint_scrape_runs
+  ADD COLUMN IF NOT EXISTS complaints_quarantined INTEGER DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS failed_upserts INTEGER DEFAULT 0;
+
+-- RLS - Service role only (automated system)
+ALTER TABLE complaint_quarantine ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access on complaint_quarantine" ON complaint_quarantine;
+CREATE POLICY "Service role full access on complaint_quarantine" ON complaint_quarantine
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Authenticated users can view complaint_quarantine" ON complaint_quarantine;
+CREATE POLICY "Authenticated users can view complaint_quarantine" ON complaint_quarantine
+    FOR SELECT
+    TO authenticated
+    USING (true);
+
+GRANT ALL ON complaint_quarantine TO service_role;
+GRANT SELECT ON complaint_quarantine TO authenticated;
+
+COMMENT ON TABLE complaint_quarantine IS 'Posts that could not be analyzed or saved by complaint-discovery';
+COMMENT ON COLUMN complaint_quarantine.errors IS 'Validation errors or database error messages';
+COMMENT ON COLUMN complaint_quarantine.raw_output IS 'Last raw Claude response, for invalid_analysis rows';
@@ -0,0 +1,23 @@
+-- ===============================================
+-- COMPLAINT SCRAPE RUNS - BACKFILL CHECKPOINTS
+-- Date: 2025-11-23
+-- Purpose: Let complaint-discovery backfill arbitrary date ranges and
+--          resume an interrupted backfill from its last checkpoint
+-- ===============================================
+
+ALTER TABLE complaint_scrape_runs
+  ADD COLUMN IF NOT EXISTS run_type TEXT DEFAULT 'incremental' CHECK (run_type IN ('incremental', 'backfill')),
+  ADD COLUMN IF NOT EXISTS backfill_since TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS backfill_until TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS backfill_cursors JSONB DEFAULT '{}'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_complaint_scrape_runs_run_type ON complaint_scrape_runs(run_type);
+
+-- Backfilled complaints are queried by when they were posted, not scraped
+CREATE INDEX IF NOT EXISTS idx_complaints_post_date ON complaints(post_date DESC);
+
+COMMENT ON COLUMN complaint_scrape_runs.run_type IS
+  'incremental (daily run, maintains high_water_marks) or backfill (--since/--until range)';
+
+COMMENT ON COLUMN complaint_scrape_runs.backfill_cursors IS
+  'Map of query key -> unix timestamp the backfill has paged down to; equals backfill_since when done';
@@ -0,0 +1,14 @@
+-- ===============================================
+-- COMPLAINT SCRAPE RUNS - TARGETING CONFIG HASH
+-- Date: 2025-11-23
+-- Purpose: Record which HN targeting config (scripts/shared/hn-targeting.json
+--          plus CLI overrides) produced each scrape run
+-- ===============================================
+
+ALTER TABLE complaint_scrape_runs
+  ADD COLUMN IF NOT EXISTS targeting_hash TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_complaint_scrape_runs_targeting_hash ON complaint_scrape_runs(targeting_hash);
+
+COMMENT ON COLUMN complaint_scrape_runs.targeting_hash IS
+  'Short sha256 of the effective complaintDiscovery targeting config for this run';
@@ -0,0 +1,22 @@
+-- ===============================================
+-- COMPLAINTS - NEAR-DUPLICATE FINGERPRINTS
+-- Date: 2025-11-23
+-- Purpose: Store a simhash of raw_text so complaint-discovery can link
+--          cross-posts and quoted comments to a canonical complaint
+--          (metadata.duplicate_of) instead of inflating pattern counts
+-- ===============================================
+
+ALTER TABLE complaints
+  ADD COLUMN IF NOT EXISTS text_fingerprint TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_complaints_text_fingerprint
+  ON complaints(text_fingerprint)
+  WHERE text_fingerprint IS NOT NULL;
+
+-- pattern-analyzer only reads canonical complaints
+CREATE INDEX IF NOT EXISTS idx_complaints_duplicate_of
+  ON complaints((metadata->>'duplicate_of'))
+  WHERE metadata->>'duplicate_of' IS NOT NULL;
+
+COMMENT ON COLUMN complaints.text_fingerprint IS
+  '64-bit simhash (hex) of raw_text word shingles; NULL when the text is too short to compare';
@@ -0,0 +1,22 @@
+-- ===============================================
+-- COMPLAINTS - PII REDACTION
+-- Date: 2025-11-23
+-- Purpose: complaint-discovery masks emails, phone numbers, profile URLs and
+--          names in title/raw_text/exact_phrases and hashes author handles
+--          before upserting. Originals are only kept when PII_STORE_ORIGINALS
+--          is enabled, encrypted client-side with PII_ENCRYPTION_KEY.
+-- ===============================================
+
+ALTER TABLE complaints
+  ADD COLUMN IF NOT EXISTS redaction_version INTEGER,
+  ADD COLUMN IF NOT EXISTS pii_original TEXT;
+
+-- redact-existing.js revisits rows redacted by an older rule set
+CREATE INDEX IF NOT EXISTS idx_complaints_redaction_version
+  ON complaints(redaction_version);
+
+COMMENT ON COLUMN complaints.redaction_version IS
+  'Version of the complaint-discovery redaction rules applied to this row; NULL = never redacted';
+
+COMMENT ON COLUMN complaints.pii_original IS
+  'Opt-in AES-256-GCM encrypted JSON of the unredacted author/title/raw_text/exact_phrases (v1:<iv>:<tag>:<ciphertext>)';
@@ -0,0 +1,62 @@
+-- ===============================================
+-- COMPLAINT REPLY DRAFTS
+-- Date: 2025-11-23
+-- Purpose: Track the reply drafts complaint-discovery writes for high-pain
+--          complaints (markdown in complaint-replies/drafts/) through review
+--          and posting
+-- ===============================================
+
+CREATE TABLE IF NOT EXISTS complaint_reply_drafts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+
+    -- What the draft replies to
+    complaint_id UUID NOT NULL UNIQUE REFERENCES complaints(id) ON DELETE CASCADE,
+    scrape_run_id UUID REFERENCES complaint_scrape_runs(id) ON DELETE SET NULL,
+    platform TEXT NOT NULL,
+    post_url TEXT NOT NULL,
+
+    -- The draft
+    draft_file TEXT NOT NULL,
+    draft_text TEXT NOT NULL,
+
+    -- Review status
+    status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'approved', 'posted', 'skipped')),
+    reply_url TEXT,
+    posted_at TIMESTAMPTZ,
+
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_complaint_reply_drafts_status ON complaint_reply_drafts(status);
+CREATE INDEX IF NOT EXISTS idx_complaint_reply_drafts_created_at ON complaint_reply_drafts(created_at DESC);
+
+-- Update complaint_reply_drafts updated_at
+DROP TRIGGER IF EXISTS update_complaint_reply_drafts_updated_at ON complaint_reply_drafts;
+CREATE TRIGGER update_complaint_reply_drafts_updated_at
+    BEFORE UPDATE ON complaint_reply_drafts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- RLS - Service role only (automated system)
+ALTER TABLE complaint_reply_drafts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access on complaint_reply_drafts" ON complaint_reply_drafts;
+CREATE POLICY "Service role full access on complaint_reply_drafts" ON complaint_reply_drafts
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Authenticated users can view complaint_reply_drafts" ON complaint_reply_drafts;
+CREATE POLICY "Authenticated users can view complaint_reply_drafts" ON complaint_reply_drafts
+    FOR SELECT
+    TO authenticated
+    USING (true);
+
+GRANT ALL ON complaint_reply_drafts TO service_role;
+GRANT SELECT ON complaint_reply_drafts TO authenticated;
+
+COMMENT ON TABLE complaint_reply_drafts IS 'Non-promotional reply drafts for high-pain complaints (pain_score >= 7)';
+COMMENT ON COLUMN complaint_reply_drafts.draft_file IS 'Markdown file path relative to the infra repo root';
+COMMENT ON COLUMN complaint_reply_drafts.reply_url IS 'Our posted reply, once status = posted';
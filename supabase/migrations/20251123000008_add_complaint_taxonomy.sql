@@ -0,0 +1,23 @@
+-- ===============================================
+-- COMPLAINTS - INTENT AND URGENCY TAXONOMY
+-- Date: 2025-11-23
+-- Purpose: complaint-discovery now stores weighted categories, buying-intent
+--          stage, tools already tried and urgency in complaints.metadata.taxonomy;
+--          pattern-analyzer filters on them and keeps per-pattern aggregates
+-- ===============================================
+
+-- pattern-analyzer --intent / --urgency filters
+CREATE INDEX IF NOT EXISTS idx_complaints_intent_stage
+  ON complaints((metadata->'taxonomy'->>'intent_stage'));
+
+CREATE INDEX IF NOT EXISTS idx_complaints_urgency
+  ON complaints((metadata->'taxonomy'->>'urgency'));
+
+ALTER TABLE complaint_patterns
+  ADD COLUMN IF NOT EXISTS taxonomy JSONB DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN complaints.metadata IS
+  'parent (thread context), duplicate_of/duplicate_distance (near-duplicates), redaction (PII counts), taxonomy: {categories: [{category, weight}], intent_stage: unaware|problem_aware|solution_seeking|evaluating, tools_tried: [], urgency: low|medium|high}';
+
+COMMENT ON COLUMN complaint_patterns.taxonomy IS
+  'Aggregate of member complaint taxonomies: {complaints, intent_stages: {stage: n}, urgency: {level: n}, categories: {category: summed weight}, tools_tried: [{tool, count}]}';
@@ -0,0 +1,65 @@
+-- ===============================================
+-- TOOL MENTIONS
+-- Date: 2025-11-23
+-- Purpose: Product/company mentions with sentiment, extracted from every post
+--          processed by complaint-discovery and content-opportunity-finder,
+--          rolled up weekly into the competitor pain report
+-- ===============================================
+
+CREATE TABLE IF NOT EXISTS tool_mentions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+
+    -- The tool
+    name TEXT NOT NULL,
+    normalized_name TEXT NOT NULL,
+    entity_type TEXT NOT NULL DEFAULT 'product' CHECK (entity_type IN ('product', 'company')),
+    tool_category TEXT NOT NULL DEFAULT 'other' CHECK (tool_category IN (
+        'crm', 'sales_engagement', 'data_provider', 'marketing', 'analytics',
+        'billing', 'support', 'developer_tool', 'other'
+    )),
+
+    -- What the poster said about it
+    sentiment TEXT NOT NULL CHECK (sentiment IN ('positive', 'neutral', 'negative')),
+    quote TEXT,
+
+    -- Where it was mentioned
+    source_agent TEXT NOT NULL CHECK (source_agent IN ('complaint_discovery', 'content_opportunity_finder')),
+    platform TEXT NOT NULL,
+    post_url TEXT NOT NULL,
+    post_date TIMESTAMPTZ,
+    complaint_id UUID REFERENCES complaints(id) ON DELETE SET NULL,
+
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+
+    -- One mention per tool per post, whichever agent saw it first
+    CONSTRAINT unique_tool_mention_per_post UNIQUE (post_url, normalized_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tool_mentions_normalized_name ON tool_mentions(normalized_name);
+CREATE INDEX IF NOT EXISTS idx_tool_mentions_sentiment ON tool_mentions(sentiment);
+CREATE INDEX IF NOT EXISTS idx_tool_mentions_created_at ON tool_mentions(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_tool_mentions_complaint_id ON tool_mentions(complaint_id) WHERE complaint_id IS NOT NULL;
+
+-- RLS - Service role only (automated system)
+ALTER TABLE tool_mentions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access on tool_mentions" ON tool_mentions;
+CREATE POLICY "Service role full access on tool_mentions" ON tool_mentions
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Authenticated users can view tool_mentions" ON tool_mentions;
+CREATE POLICY "Authenticated users can view tool_mentions" ON tool_mentions
+    FOR SELECT
+    TO authenticated
+    USING (true);
+
+GRANT ALL ON tool_mentions TO service_role;
+GRANT SELECT ON tool_mentions TO authenticated;
+
+COMMENT ON TABLE tool_mentions IS 'Products and companies named in HN/Reddit posts, with the poster''s sentiment';
+COMMENT ON COLUMN tool_mentions.normalized_name IS 'Lowercased name with punctuation collapsed; groups "HubSpot" and "Hubspot"';
+COMMENT ON COLUMN tool_mentions.quote IS 'Verbatim words around the mention (PII-redacted for complaint-discovery posts)';
@@ -0,0 +1,75 @@
+-- ===============================================
+-- CONTENT OPPORTUNITIES
+-- Date: 2025-11-23
+-- Purpose: Track opportunities suggested by content-opportunity-finder through
+--          posting, and the engagement our replies got 24h and 7d later.
+--          Outcomes feed back into the finder's relevance scoring.
+-- ===============================================
+
+CREATE TABLE IF NOT EXISTS content_opportunities (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+
+    -- The opportunity
+    url TEXT NOT NULL UNIQUE,
+    platform TEXT NOT NULL,
+    type TEXT NOT NULL,
+    title TEXT,
+    question TEXT,
+    author TEXT,
+    post_created_at TIMESTAMPTZ,
+
+    -- Scoring and suggestion
+    relevance_score INTEGER,
+    score_features TEXT[] DEFAULT '{}',
+    suggested_answer TEXT,
+    quality_score INTEGER,
+    suggested_on DATE NOT NULL,
+
+    -- Lifecycle
+    status TEXT NOT NULL DEFAULT 'suggested' CHECK (status IN ('suggested', 'posted', 'skipped', 'expired')),
+    reply_url TEXT,
+    posted_at TIMESTAMPTZ,
+
+    -- Reply outcomes: {points, replies, checked_at}
+    outcome_24h JSONB,
+    outcome_7d JSONB,
+
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_opportunities_status ON content_opportunities(status);
+CREATE INDEX IF NOT EXISTS idx_content_opportunities_suggested_on ON content_opportunities(suggested_on DESC);
+CREATE INDEX IF NOT EXISTS idx_content_opportunities_posted_at ON content_opportunities(posted_at) WHERE status = 'posted';
+
+-- Update content_opportunities updated_at
+DROP TRIGGER IF EXISTS update_content_opportunities_updated_at ON content_opportunities;
+CREATE TRIGGER update_content_opportunities_updated_at
+    BEFORE UPDATE ON content_opportunities
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- RLS - Service role only (automated system)
+ALTER TABLE content_opportunities ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access on content_opportunities" ON content_opportunities;
+CREATE POLICY "Service role full access on content_opportunities" ON content_opportunities
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Authenticated users can view content_opportunities" ON content_opportunities;
+CREATE POLICY "Authenticated users can view content_opportunities" ON content_opportunities
+    FOR SELECT
+    TO authenticated
+    USING (true);
+
+GRANT ALL ON content_opportunities TO service_role;
+GRANT SELECT ON content_opportunities TO authenticated;
+
+COMMENT ON TABLE content_opportunities IS 'Content opportunities suggested by content-opportunity-finder and what became of them';
+COMMENT ON COLUMN content_opportunities.score_features IS 'Relevance scoring features present when suggested; joined with outcomes to reweight them';
+COMMENT ON COLUMN content_opportunities.reply_url IS 'Our posted reply, once status = posted';
+COMMENT ON COLUMN content_opportunities.outcome_24h IS 'Reply points (null for HN comments) and direct replies 24h after posting';
+COMMENT ON COLUMN content_opportunities.outcome_7d IS 'Reply points (null for HN comments) and direct replies 7 days after posting';
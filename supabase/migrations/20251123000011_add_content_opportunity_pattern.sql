@@ -0,0 +1,17 @@
+-- ===============================================
+-- CONTENT OPPORTUNITIES - MATCHED COMPLAINT PATTERN
+-- Date: 2025-11-23
+-- Purpose: content-opportunity-finder matches opportunities against the top
+--          actionable complaint_patterns and boosts their relevance; record
+--          which pattern each suggestion matched
+-- ===============================================
+
+ALTER TABLE content_opportunities
+  ADD COLUMN IF NOT EXISTS matched_pattern_id UUID REFERENCES complaint_patterns(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_content_opportunities_matched_pattern
+  ON content_opportunities(matched_pattern_id)
+  WHERE matched_pattern_id IS NOT NULL;
+
+COMMENT ON COLUMN content_opportunities.matched_pattern_id IS
+  'Complaint pattern whose key phrases or problem statement the opportunity matched when suggested';
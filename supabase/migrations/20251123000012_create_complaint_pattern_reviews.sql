@@ -0,0 +1,53 @@
+-- ===============================================
+-- COMPLAINT PATTERN REVIEWS
+-- Date: 2025-11-23
+-- Purpose: pattern-analyzer matches new patterns to existing ones by text
+--          similarity. Near misses are saved as new patterns and logged here
+--          so a human can merge or keep them apart, instead of the table
+--          silently filling with near-identical patterns
+-- ===============================================
+
+CREATE TABLE IF NOT EXISTS complaint_pattern_reviews (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+
+    -- The pattern saved by this run
+    pattern_id UUID REFERENCES complaint_patterns(id) ON DELETE CASCADE,
+    problem_statement TEXT NOT NULL,
+
+    -- Best similarity and the closest existing patterns: [{id, problem_statement, similarity}]
+    similarity DECIMAL(4,3),
+    candidates JSONB DEFAULT '[]'::jsonb,
+
+    -- Review status
+    is_resolved BOOLEAN DEFAULT false,
+
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_complaint_pattern_reviews_pattern_id ON complaint_pattern_reviews(pattern_id);
+CREATE INDEX IF NOT EXISTS idx_complaint_pattern_reviews_is_resolved ON complaint_pattern_reviews(is_resolved);
+CREATE INDEX IF NOT EXISTS idx_complaint_pattern_reviews_created_at ON complaint_pattern_reviews(created_at DESC);
+
+-- RLS - Service role only (automated system)
+ALTER TABLE complaint_pattern_reviews ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access on complaint_pattern_reviews" ON complaint_pattern_reviews;
+CREATE POLICY "Service role full access on complaint_pattern_reviews" ON complaint_pattern_reviews
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Authenticated users can view complaint_pattern_reviews" ON complaint_pattern_reviews;
+CREATE POLICY "Authenticated users can view complaint_pattern_reviews" ON complaint_pattern_reviews
+    FOR SELECT
+    TO authenticated
+    USING (true);
+
+GRANT ALL ON complaint_pattern_reviews TO service_role;
+GRANT SELECT ON complaint_pattern_reviews TO authenticated;
+
+COMMENT ON TABLE complaint_pattern_reviews IS 'New complaint patterns that resemble existing ones closely enough to need a human decision';
+COMMENT ON COLUMN complaint_pattern_reviews.similarity IS 'TF-IDF cosine similarity to the closest existing pattern (statement + key phrases)';
+COMMENT ON COLUMN complaint_pattern_reviews.candidates IS 'Closest existing patterns at the time: [{id, problem_statement, similarity}]';
@@ -0,0 +1,17 @@
+-- ===============================================
+-- COMPLAINTS - PATTERN ANALYSIS RE-QUEUE
+-- Date: 2025-11-23
+-- Purpose: pattern-analyzer leaves complaints unprocessed when their batch
+--          failed or no pattern took them, and re-queues them so the next run
+--          picks them up even outside its lookback window
+-- ===============================================
+
+ALTER TABLE complaints
+  ADD COLUMN IF NOT EXISTS requeue_count INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_complaints_requeued
+  ON complaints(requeue_count)
+  WHERE is_processed = false AND requeue_count > 0;
+
+COMMENT ON COLUMN complaints.requeue_count IS
+  'Pattern analysis runs that left this complaint unassigned; after PATTERN_MAX_REQUEUES it is marked processed without a pattern';
@@ -0,0 +1,15 @@
+-- ===============================================
+-- CONTENT OPPORTUNITIES - PLATFORM IDS
+-- Date: 2025-11-23
+-- Purpose: content_opportunities.platform holds the content source id
+--          (hacker_news, stack_exchange, indie_hackers). Rows saved before the
+--          source registry stored the "Hacker News" label instead, which
+--          mark.js and followup.js can't resolve to a source.
+-- ===============================================
+
+UPDATE content_opportunities
+  SET platform = 'hacker_news'
+  WHERE platform = 'Hacker News';
+
+COMMENT ON COLUMN content_opportunities.platform IS
+  'Content source id (see scripts/content-opportunity-finder/sources), e.g. hacker_news';